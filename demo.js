@@ -61,8 +61,9 @@ print(f"Found {len(result)} numbers")
 ## Blockquotes
 
 > **Note:** This is optimised for LLM/agent output streams where you receive
-> one token at a time. Code blocks and tables are buffered until complete —
-> everything else renders immediately.
+> one token at a time. Headings render as soon as their line is complete and
+> code blocks line by line; paragraphs, lists and tables wait for their block
+> to end, drawn tentatively on a terminal until then.
 
 ---
 
@@ -93,7 +94,7 @@ const result = await agent.run({
 console.log(result.output);
 \`\`\`
 
-The code block above was buffered until the closing fence, then rendered all at once with full syntax highlighting.
+The code block above was drawn line by line as it arrived, with full syntax highlighting.
 
 | Agent | Status | Time |
 |-------|--------|------|
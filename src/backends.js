@@ -0,0 +1,50 @@
+// ─── Inkdown Backends ─────────────────────────────────────────────────────────
+// Output backends. Every backend renders the same parsed AST; a renderer
+// instance exposes:
+//
+//   render(markdown) / renderDocument(doc)   → string
+//   render(markdown, { preview: true })     → a tentative render that leaves
+//                                             no state behind (footnotes)
+//   codeBlockBody(lang, lines?)             → { push(line), end() }, each
+//                                             returning the code lines
+//                                             ready to draw
+//   codeBlockHeader(lang) / codeBlockFooter() → the text around a code
+//                                             block's lines: a rendered
+//                                             block is header, '\n', its
+//                                             lines joined with '\n', '\n',
+//                                             footer
+//   interrupted(reason)                     → marker drawn after a stream that
+//                                             was aborted (optional)
+//   terminal                                → true if the output is laid out
+//                                             for a terminal and may be
+//                                             repainted in place
+//
+// `backend` may also be a factory `(theme, opts) => renderer` for custom
+// outputs; `opts` carries layout options such as `wrap`.
+
+import { Chalk } from 'chalk';
+import { Renderer } from './renderer.js';
+import { HtmlRenderer } from './html.js';
+
+export const backends = {
+  ansi:  (theme, opts) => new Renderer(theme, opts),
+  plain: (theme, opts) => new Renderer(theme, {
+    ...opts,
+    chalk: new Chalk({ level: 0 }),
+    links: opts.links === 'footnotes' ? 'footnotes' : 'inline',
+  }),
+  html:  (theme)       => new HtmlRenderer(theme),
+};
+
+/**
+ * @param {object} theme
+ * @param {string|((theme: object, opts: object) => object)} backend
+ * @param {{ wrap?: boolean|number }} [opts]
+ */
+export function createRenderer(theme, backend = 'ansi', opts = {}) {
+  const make = typeof backend === 'function' ? backend : backends[backend];
+  if (!make) {
+    throw new Error(`Unknown backend "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return make(theme, opts);
+}
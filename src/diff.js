@@ -0,0 +1,166 @@
+// ─── Inkdown Diff ─────────────────────────────────────────────────────────────
+// Line classification for ```diff / ```patch blocks. Lines go in one at a
+// time and come out as entries `{ kind, segments }` once they can be drawn:
+//
+//   kind      — 'header' (diff --git, index, ---/+++ file lines), 'hunk' (@@),
+//               'added', 'removed' or 'context'
+//   segments  — `{ text, changed }[]` covering the line; `changed` marks the
+//               words that differ when a removed line is paired with the
+//               added line that replaces it
+//
+// Pairing needs to see the added lines, so a run of removed lines is held
+// back until the added lines that follow it have arrived.
+
+const DIFF_LANGS = new Set(['diff', 'patch', 'udiff']);
+
+/** Whether a code block's language tag is a diff */
+export function isDiff(lang) {
+  return DIFF_LANGS.has(lang?.toLowerCase());
+}
+
+const HEADER_RE = /^(diff |index |--- |\+\+\+ |new file mode|deleted file mode|old mode|new mode|similarity index|rename from|rename to|Binary files)/;
+const HUNK_RE   = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+
+export class DiffLines {
+  /**
+   * @param {{ words?: boolean }} [opts] - highlight changed words in paired lines
+   */
+  constructor({ words = true } = {}) {
+    this.words    = words;
+    this._removed = [];     // held removed lines
+    this._added   = [];     // added lines paired against them so far
+    this._left    = null;   // { removed, added } lines left in the current hunk
+  }
+
+  /**
+   * Feed one line; returns the entries that are ready to draw.
+   * @param {string} line
+   * @returns {{ kind: string, segments: { text: string, changed: boolean }[] }[]}
+   */
+  push(line) {
+    const kind = this._classify(line);
+
+    if (kind === 'removed' && !this._added.length) {
+      this._removed.push(line);
+      return [];
+    }
+    if (kind === 'added' && this._removed.length) {
+      this._added.push(line);
+      return this._added.length < this._removed.length ? [] : this._release();
+    }
+
+    const ready = this._release();
+    if (kind === 'removed') {
+      this._removed.push(line);
+      return ready;
+    }
+    ready.push(entry(kind, line));
+    return ready;
+  }
+
+  /** Entries still held back at the end of the block */
+  end() {
+    return this._release();
+  }
+
+  _classify(line) {
+    const hunk = line.match(HUNK_RE);
+    if (hunk) {
+      this._left = { removed: Number(hunk[1] ?? 1), added: Number(hunk[2] ?? 1) };
+      return 'hunk';
+    }
+
+    // Inside a hunk with known line counts, `--- x` is a removed line
+    // whose text starts with `--`, not a file header
+    const inHunk = this._left && (this._left.removed > 0 || this._left.added > 0);
+    if (!inHunk && HEADER_RE.test(line)) {
+      this._left = null;
+      return 'header';
+    }
+
+    const marker = line[0];
+    if (marker === '+' || marker === '-' || marker === ' ') {
+      if (this._left) {
+        if (marker !== '+') this._left.removed--;
+        if (marker !== '-') this._left.added--;
+      }
+      return marker === '+' ? 'added' : marker === '-' ? 'removed' : 'context';
+    }
+    if (line.startsWith('\\')) return 'hunk';   // "\ No newline at end of file"
+    return 'context';
+  }
+
+  _release() {
+    const removed = this._removed;
+    const added   = this._added;
+    this._removed = [];
+    this._added   = [];
+
+    const out = removed.map(line => entry('removed', line));
+    const plus = added.map(line => entry('added', line));
+    if (this.words) {
+      plus.forEach((entryAdded, i) => {
+        const pair = wordDiff(removed[i].slice(1), added[i].slice(1));
+        if (!pair) return;
+        out[i].segments = [{ text: '-', changed: false }, ...pair.before];
+        entryAdded.segments = [{ text: '+', changed: false }, ...pair.after];
+      });
+    }
+    return [...out, ...plus];
+  }
+}
+
+function entry(kind, text) {
+  return { kind, segments: [{ text, changed: false }] };
+}
+
+// ── Word diff ─────────────────────────────────────────────────────────────────
+
+const WORD_RE  = /\s+|\w+|[^\w\s]/g;
+const MAX_WORDS = 200;
+
+/**
+ * Longest-common-subsequence diff of two lines by word. Returns null when the
+ * lines share too little to be worth marking up (a rewrite, not an edit).
+ */
+function wordDiff(a, b) {
+  const x = a.match(WORD_RE) ?? [];
+  const y = b.match(WORD_RE) ?? [];
+  if (!x.length || !y.length || x.length > MAX_WORDS || y.length > MAX_WORDS) return null;
+
+  // lcs[i][j] = common length of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint16Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const keepX = new Array(x.length).fill(false);
+  const keepY = new Array(y.length).fill(false);
+  for (let i = 0, j = 0; i < x.length && j < y.length;) {
+    if (x[i] === y[j]) { keepX[i++] = true; keepY[j++] = true; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++;
+    else j++;
+  }
+
+  const solid = (words, keep) => words.filter((w, i) => keep[i] && /\S/.test(w)).length;
+  const common = Math.min(solid(x, keepX), solid(y, keepY));
+  const total  = Math.max(x.filter(w => /\S/.test(w)).length, y.filter(w => /\S/.test(w)).length);
+  if (common / total < 0.4) return null;
+
+  return { before: segmentsOf(x, keepX), after: segmentsOf(y, keepY) };
+}
+
+/** Merge words into runs of changed / unchanged text */
+function segmentsOf(words, keep) {
+  const segments = [];
+  words.forEach((text, i) => {
+    // Whitespace between two changed words joins them into one run
+    const changed = !keep[i] || (/^\s+$/.test(text) && !keep[i - 1] && i + 1 < words.length && !keep[i + 1]);
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) last.text += text;
+    else segments.push({ text, changed });
+  });
+  return segments;
+}
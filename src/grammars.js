@@ -0,0 +1,241 @@
+// ─── Inkdown Grammars ─────────────────────────────────────────────────────────
+// Built-in highlighting grammars, registered by highlight.js at load time.
+// Each is a list of rules tried in order; at any position the earliest match
+// wins, and on a tie the rule listed first. Token types are the keys of a
+// theme's `syntax` map. See `registerLanguage` for the full rule format;
+// in short:
+//
+//   { re, type }           — a single-line token
+//   { re, close, type }    — `re` opens a construct that may span lines and
+//                            `close` matches the rest of it (block comments,
+//                            triple-quoted strings)
+//   { re, untilLine, type } — the lines below belong to the token up to a
+//                            closing line (heredocs)
+//   { re, push } / { re, pop } — enter / leave a named state, for contexts
+//                            that nest (template-literal interpolation)
+
+const JS_KEYWORDS = 'const|let|var|function|class|return|if|else|for|while|do|switch|case|break|continue|import|export|default|from|of|in|new|this|typeof|instanceof|async|await|try|catch|finally|throw|null|undefined|true|false|void|delete|yield|super|extends|static';
+
+const javascript = [
+  { re: /\/\/.*$/m,                          type: 'comment' },
+  { re: /\/\*/, close: /[\s\S]*?\*\//y,      type: 'comment' },
+  { re: /`/,                                 type: 'string', push: 'template' },
+  { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/, type: 'string' },
+  { re: new RegExp(`\\b(${JS_KEYWORDS})\\b`), type: 'keyword' },
+  { re: /\b\d+\.?\d*\b/,                     type: 'number' },
+  { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,          type: 'tag' },
+  { re: /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?=\()/, type: 'function' },
+  { re: /[{}[\]().,;:]/,                     type: 'punctuation' },
+  { re: /[+\-*/%=<>!&|^~?]/,               type: 'operator' },
+];
+
+const typescript = [
+  ...javascript.slice(0, 4),
+  { re: new RegExp(`\\b(${JS_KEYWORDS}|interface|type|enum|implements|declare|namespace|module|abstract|readonly|private|protected|public|override|keyof|as|satisfies|infer|is|asserts)\\b`), type: 'keyword' },
+  { re: /\b(string|number|boolean|bigint|symbol|object|any|unknown|never)\b/, type: 'tag' },
+  { re: /@[a-zA-Z_$][a-zA-Z0-9_$]*/,         type: 'attribute' },
+  ...javascript.slice(5),
+];
+
+/**
+ * States for a JS-like `root`: template literals, and `${…}` inside them
+ * highlighted as code — braces counted, so `${ {a: 1}.a }` closes properly.
+ */
+function withTemplates(root) {
+  return {
+    root,
+    template: [
+      { re: /(?:\\[\s\S]|[^`\\$]|\$(?!\{))+/,  type: 'string' },
+      { re: /`/,                              type: 'string', pop: true },
+      { re: /\$\{/,                           type: 'punctuation', push: 'interpolation' },
+    ],
+    interpolation: [
+      { re: /\{/,                             type: 'punctuation', push: 'interpolation' },
+      { re: /\}/,                             type: 'punctuation', pop: true },
+      ...root,
+    ],
+  };
+}
+
+export const GRAMMARS = {
+  javascript: {
+    aliases: ['js', 'jsx', 'mjs', 'cjs'],
+    rules: withTemplates(javascript),
+  },
+
+  typescript: {
+    aliases: ['ts', 'tsx', 'mts', 'cts'],
+    rules: withTemplates(typescript),
+  },
+
+  python: {
+    aliases: ['py'],
+    rules: [
+      { re: /#.*$/m,                             type: 'comment' },
+      { re: /"""/, close: /[\s\S]*?"""/y,     type: 'string' },
+      { re: /'''/, close: /[\s\S]*?'''/y,       type: 'string' },
+      { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/, type: 'string' },
+      { re: /\b(def|class|return|if|elif|else|for|while|import|from|as|with|try|except|finally|raise|pass|break|continue|and|or|not|in|is|lambda|yield|global|nonlocal|True|False|None|async|await)\b/, type: 'keyword' },
+      { re: /\b\d+\.?\d*\b/,                    type: 'number' },
+      { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,         type: 'tag' },
+      { re: /\b([a-z_][a-zA-Z0-9_]*)\s*(?=\()/, type: 'function' },
+      { re: /[{}[\]().,;:]/,                    type: 'punctuation' },
+      { re: /[+\-*/%=<>!&|^~?@]/,             type: 'operator' },
+    ],
+  },
+
+  bash: {
+    aliases: ['sh', 'zsh', 'shell'],
+    rules: [
+      { re: /#.*$/m,                             type: 'comment' },
+      { re: /<<-?\s*(['"]?)([A-Za-z_][A-Za-z0-9_]*)\1/, type: 'string',
+        untilLine: (m) => new RegExp(`^\\s*${m[2]}\\s*$`) },
+      { re: /"(?:\\.|[^"\\])*"|'[^']*'/,        type: 'string' },
+      { re: /\b(if|then|else|elif|fi|for|while|do|done|case|esac|function|return|exit|export|local|source|echo|cd|ls|mkdir|rm|cp|mv|grep|sed|awk|cat|pipe|sudo|chmod|chown)\b/, type: 'keyword' },
+      { re: /\$\{?[a-zA-Z_][a-zA-Z0-9_]*\}?/,  type: 'attribute' },
+      { re: /\b\d+\b/,                          type: 'number' },
+      { re: /[|&;><(){}[\]]/,                   type: 'operator' },
+    ],
+  },
+
+  json: {
+    rules: [
+      { re: /"(?:\\.|[^"\\])*"\s*:/,            type: 'attribute' },
+      { re: /"(?:\\.|[^"\\])*"/,               type: 'string' },
+      { re: /\b(true|false|null)\b/,            type: 'keyword' },
+      { re: /\b\d+\.?\d*\b/,                   type: 'number' },
+      { re: /[{}[\],]/,                         type: 'punctuation' },
+    ],
+  },
+
+  css: {
+    rules: [
+      { re: /\/\*/, close: /[\s\S]*?\*\//y,     type: 'comment' },
+      { re: /"[^"]*"|'[^']*'/,                  type: 'string' },
+      { re: /[.#]?[a-zA-Z][a-zA-Z0-9_-]*\s*(?=\{)/, type: 'tag' },
+      { re: /[a-zA-Z-]+\s*(?=:)/,              type: 'attribute' },
+      { re: /:\s*([^;{]+)/,                    type: 'string' },
+      { re: /#[0-9a-fA-F]{3,8}\b/,            type: 'number' },
+      { re: /\b\d+\.?\d*(px|em|rem|%|vh|vw|s|ms)?\b/, type: 'number' },
+      { re: /[{}:;]/,                          type: 'punctuation' },
+    ],
+  },
+
+  go: {
+    aliases: ['golang'],
+    rules: [
+      { re: /\/\/.*$/m,                          type: 'comment' },
+      { re: /\/\*/, close: /[\s\S]*?\*\//y,      type: 'comment' },
+      { re: /`/,   close: /[^`]*`/y,             type: 'string' },
+      { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/, type: 'string' },
+      { re: /\b(break|case|chan|const|continue|default|defer|else|fallthrough|for|func|go|goto|if|import|interface|map|package|range|return|select|struct|switch|type|var|nil|true|false|iota)\b/, type: 'keyword' },
+      { re: /\b(bool|byte|complex64|complex128|error|float32|float64|int|int8|int16|int32|int64|rune|string|uint|uint8|uint16|uint32|uint64|uintptr|any)\b/, type: 'tag' },
+      { re: /\b0x[0-9a-fA-F_]+\b|\b\d[\d_]*\.?\d*([eE][+-]?\d+)?\b/, type: 'number' },
+      { re: /\b([A-Z][a-zA-Z0-9_]*)\b(?!\s*\()/,  type: 'tag' },
+      { re: /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*(?=\()/, type: 'function' },
+      { re: /[{}[\]().,;:]/,                     type: 'punctuation' },
+      { re: /:=|<-|[+\-*/%=<>!&|^]/,             type: 'operator' },
+    ],
+  },
+
+  rust: {
+    aliases: ['rs'],
+    rules: [
+      { re: /\/\/.*$/m,                          type: 'comment' },
+      { re: /\/\*/, close: /[\s\S]*?\*\//y,      type: 'comment' },
+      { re: /r#*"/, close: /[\s\S]*?"#*/y,       type: 'string' },
+      { re: /"/,   close: /(?:\\[\s\S]|[^"\\])*"/y, type: 'string' },
+      { re: /'(?:\\.|[^'\\])'/,                  type: 'string' },
+      { re: /'[a-z_]+\b/,                        type: 'attribute' },
+      { re: /#!?\[[^\]]*\]/,                     type: 'attribute' },
+      { re: /\b(as|async|await|break|const|continue|crate|dyn|else|enum|extern|false|fn|for|if|impl|in|let|loop|match|mod|move|mut|pub|ref|return|self|Self|static|struct|super|trait|true|type|unsafe|use|where|while)\b/, type: 'keyword' },
+      { re: /\b(bool|char|str|u8|u16|u32|u64|u128|usize|i8|i16|i32|i64|i128|isize|f32|f64)\b/, type: 'tag' },
+      { re: /\b0x[0-9a-fA-F_]+\b|\b\d[\d_]*\.?\d*([eE][+-]?\d+)?(_?[iuf]\d+|_?[iu]size)?\b/, type: 'number' },
+      { re: /\b[a-z_][a-z0-9_]*!/,               type: 'function' },
+      { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,          type: 'tag' },
+      { re: /\b([a-z_][a-zA-Z0-9_]*)\s*(?=\(|::<)/, type: 'function' },
+      { re: /[{}[\]().,;:]/,                     type: 'punctuation' },
+      { re: /=>|->|[+\-*/%=<>!&|^?]/,            type: 'operator' },
+    ],
+  },
+
+  java: {
+    rules: [
+      { re: /\/\/.*$/m,                          type: 'comment' },
+      { re: /\/\*/, close: /[\s\S]*?\*\//y,      type: 'comment' },
+      { re: /"""/, close: /[\s\S]*?"""/y,        type: 'string' },
+      { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/, type: 'string' },
+      { re: /@[a-zA-Z_][a-zA-Z0-9_]*/,           type: 'attribute' },
+      { re: /\b(abstract|assert|break|case|catch|class|const|continue|default|do|else|enum|extends|final|finally|for|goto|if|implements|import|instanceof|interface|native|new|package|private|protected|public|record|return|sealed|permits|static|strictfp|super|switch|synchronized|this|throw|throws|transient|try|var|void|volatile|while|yield|null|true|false)\b/, type: 'keyword' },
+      { re: /\b(boolean|byte|char|double|float|int|long|short)\b/, type: 'tag' },
+      { re: /\b0x[0-9a-fA-F_]+[lL]?\b|\b\d[\d_]*\.?\d*([eE][+-]?\d+)?[lLfFdD]?\b/, type: 'number' },
+      { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,          type: 'tag' },
+      { re: /\b([a-z_$][a-zA-Z0-9_$]*)\s*(?=\()/, type: 'function' },
+      { re: /[{}[\]().,;:]/,                     type: 'punctuation' },
+      { re: /->|::|[+\-*/%=<>!&|^~?]/,           type: 'operator' },
+    ],
+  },
+
+  sql: {
+    aliases: ['mysql', 'postgres', 'postgresql', 'psql', 'sqlite'],
+    rules: [
+      { re: /--.*$/m,                            type: 'comment' },
+      { re: /\/\*/, close: /[\s\S]*?\*\//y,      type: 'comment' },
+      { re: /'(?:''|[^'])*'/,                    type: 'string' },
+      { re: /"(?:""|[^"])*"|`[^`]*`/,            type: 'attribute' },
+      { re: /\b(select|from|where|and|or|not|in|is|null|like|ilike|between|exists|insert|into|values|update|set|delete|create|alter|drop|table|view|index|unique|primary|foreign|key|references|constraint|default|check|join|inner|left|right|full|outer|cross|on|using|group|by|order|asc|desc|having|limit|offset|union|all|distinct|as|case|when|then|else|end|with|recursive|returning|begin|commit|rollback|transaction|if|true|false|cascade|grant|revoke|to)\b/i, type: 'keyword' },
+      { re: /\b(int|integer|bigint|smallint|serial|bigserial|text|varchar|char|boolean|bool|date|time|timestamp|timestamptz|interval|numeric|decimal|real|float|double|json|jsonb|uuid|bytea|blob)\b/i, type: 'tag' },
+      { re: /\b\d+\.?\d*\b/,                     type: 'number' },
+      { re: /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*(?=\()/, type: 'function' },
+      { re: /[:@$]\w+|\?/,                       type: 'attribute' },
+      { re: /[().,;]/,                           type: 'punctuation' },
+      { re: /<>|!=|<=|>=|\|\||::|[+\-*/%=<>]/,   type: 'operator' },
+    ],
+  },
+
+  yaml: {
+    aliases: ['yml'],
+    rules: [
+      { re: /(^|\s)#.*$/m,                       type: 'comment' },
+      { re: /^(---|\.\.\.)\s*$/m,                type: 'punctuation' },
+      { re: /"(?:\\.|[^"\\])*"|'(?:''|[^'])*'/,  type: 'string' },
+      { re: /[a-zA-Z0-9_.\-/]+(?=\s*:(\s|$))/,  type: 'attribute' },
+      { re: /[&*][a-zA-Z0-9_-]+/,                type: 'tag' },
+      { re: /!!?[a-zA-Z0-9_-]*/,                 type: 'tag' },
+      { re: /\b(true|false|yes|no|on|off|null)\b|~/, type: 'keyword' },
+      { re: /(?<=[:\-]\s+)[-+]?\d[\d_]*\.?\d*([eE][+-]?\d+)?\b/, type: 'number' },
+      { re: /[|>][-+]?\s*$/m,                    type: 'operator' },
+      { re: /[:\-?,[\]{}]/,                      type: 'punctuation' },
+    ],
+  },
+
+  toml: {
+    rules: [
+      { re: /#.*$/m,                             type: 'comment' },
+      { re: /"""/, close: /[\s\S]*?"""/y,        type: 'string' },
+      { re: /'''/, close: /[\s\S]*?'''/y,        type: 'string' },
+      { re: /"(?:\\.|[^"\\])*"|'[^']*'/,         type: 'string' },
+      { re: /^\s*\[\[?[^\]]*\]\]?/m,             type: 'tag' },
+      { re: /[a-zA-Z0-9_.-]+(?=\s*=)/,           type: 'attribute' },
+      { re: /\b(true|false|inf|nan)\b/,          type: 'keyword' },
+      { re: /\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?)?/, type: 'number' },
+      { re: /[-+]?\b(0x[0-9a-fA-F_]+|\d[\d_]*\.?[\d_]*([eE][+-]?\d+)?)\b/, type: 'number' },
+      { re: /[[\]{},.]/,                         type: 'punctuation' },
+      { re: /=/,                                 type: 'operator' },
+    ],
+  },
+
+  html: {
+    aliases: ['xml', 'svg', 'htm'],
+    rules: [
+      { re: /<!--/, close: /[\s\S]*?-->/y,       type: 'comment' },
+      { re: /<!\w+[^>]*>/i,                      type: 'keyword' },
+      { re: /<\/?[a-zA-Z][\w:.-]*/,              type: 'tag' },
+      { re: /\/?>/,                              type: 'tag' },
+      { re: /"[^"]*"|'[^']*'/,                   type: 'string' },
+      { re: /[a-zA-Z_:@][\w:.-]*(?==)/,          type: 'attribute' },
+      { re: /&(#\d+|#x[0-9a-fA-F]+|\w+);/,       type: 'number' },
+      { re: /=/,                                 type: 'operator' },
+    ],
+  },
+};
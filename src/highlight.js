@@ -0,0 +1,228 @@
+// ─── Inkdown Highlighter ──────────────────────────────────────────────────────
+// Basic token-based syntax highlighter, no deps. Tokens are handed to a
+// `paint(text, type)` callback so each output backend decides how a token
+// type looks (ANSI colour, HTML span, nothing at all).
+
+import { GRAMMARS } from './grammars.js';
+
+// ── Language registry ─────────────────────────────────────────────────────────
+
+const LANGUAGES = new Map();   // name or alias (lower-case) → rules
+
+/**
+ * Register a grammar for fenced code blocks tagged `name` (or any alias).
+ * Registering an existing name or alias replaces it.
+ *
+ * `rules` is either a list of rules, or an object of named rule lists
+ * (states) with the starting one called `root`. Rules are tried in order and
+ * the earliest match wins (the first-listed on a tie). A rule may also:
+ *
+ *   close     — RegExp, or `(match) => RegExp`: continue the token from the end
+ *               of `re` until this matches, across lines if need be
+ *   untilLine — RegExp, or `(match) => RegExp`: every following line belongs
+ *               to the token up to and including the first line it matches
+ *               (heredocs)
+ *   push      — name of a state to enter after the token
+ *   pop       — return to the state that pushed this one
+ *
+ * @param {string} name
+ * @param {object[]|Object<string, object[]>} rules - `{ re, type, ... }`, where
+ *        `type` is a theme `syntax` key (or null to leave the text unpainted)
+ * @param {{ aliases?: string[] }} [opts]
+ */
+export function registerLanguage(name, rules, { aliases = [] } = {}) {
+  if (typeof name !== 'string' || !name) throw new Error('Language name must be a non-empty string');
+  const states = Array.isArray(rules) ? { root: rules } : rules;
+  if (!states || typeof states !== 'object' || !Array.isArray(states.root)) {
+    throw new Error(`Rules for language "${name}" must be an array, or an object with a \`root\` array`);
+  }
+
+  const grammar = {};
+  for (const [state, list] of Object.entries(states)) {
+    if (!Array.isArray(list)) throw new Error(`State "${state}" of language "${name}" must be an array of rules`);
+    grammar[state] = list.map((rule, n) => compileRule(rule, `Rule ${n} of state "${state}" in language "${name}"`, states));
+  }
+
+  for (const key of [name, ...aliases]) LANGUAGES.set(key.toLowerCase(), grammar);
+}
+
+function compileRule(rule, where, states) {
+  if (!(rule?.re instanceof RegExp)) throw new Error(`${where} needs a RegExp \`re\``);
+  for (const key of ['close', 'untilLine']) {
+    const v = rule[key];
+    if (v !== undefined && !(v instanceof RegExp) && typeof v !== 'function') {
+      throw new Error(`${where} has a \`${key}\` that is neither a RegExp nor a function`);
+    }
+  }
+  if (rule.push !== undefined && !Array.isArray(states[rule.push])) {
+    throw new Error(`${where} pushes unknown state "${rule.push}"`);
+  }
+
+  return {
+    type:      rule.type ?? null,
+    find:      new RegExp(rule.re.source, rule.re.flags.replace(/[gy]/g, '') + 'g'),
+    close:     rule.close instanceof RegExp ? sticky(rule.close) : rule.close,
+    untilLine: rule.untilLine,
+    push:      rule.push,
+    pop:       !!rule.pop,
+  };
+}
+
+function sticky(re) {
+  return re.sticky ? re : new RegExp(re.source, re.flags.replace('g', '') + 'y');
+}
+
+/** Names and aliases with a registered grammar */
+export function languages() {
+  return [...LANGUAGES.keys()];
+}
+
+for (const [name, { rules, aliases }] of Object.entries(GRAMMARS)) {
+  registerLanguage(name, rules, { aliases });
+}
+
+// ── Tokenizer ─────────────────────────────────────────────────────────────────
+// Code is tokenized a line at a time. Whatever a line leaves open — the state
+// stack, or a token still waiting for its `close` / `untilLine` — is carried
+// in a small state object to the next line, so a block is highlighted in one
+// linear pass whether it arrives all at once or line by line.
+//
+// Within a line each rule keeps its next match cached and only searches again
+// once the scan has moved past it, so a long line costs one pass per rule
+// rather than one per token.
+
+function initialState() {
+  return { stack: ['root'], pending: null };
+}
+
+function tokenizeLine(line, grammar, state) {
+  const tokens = [];
+  let pos = 0;
+
+  // A construct left open by an earlier line
+  if (state.pending) {
+    const { close, until, type } = state.pending;
+    if (until) {
+      if (until.test(line)) state.pending = null;
+      tokens.push({ text: line, type });
+      return tokens;
+    }
+    close.lastIndex = 0;
+    const m = close.exec(line);
+    if (!m) {
+      tokens.push({ text: line, type });
+      return tokens;
+    }
+    tokens.push({ text: m[0], type });
+    pos = m[0].length;
+    state.pending = null;
+  }
+
+  let rules = grammar[state.stack[state.stack.length - 1]];
+  let cache = new Array(rules.length).fill(undefined);
+
+  while (pos < line.length) {
+    let best = null;
+    let bestRule = null;
+
+    for (let r = 0; r < rules.length; r++) {
+      let m = cache[r];
+      if (m === undefined || (m !== null && m.index < pos)) {
+        m = nextMatch(rules[r].find, line, pos);
+        cache[r] = m;
+      }
+      if (m && (!best || m.index < best.index)) {
+        best = m;
+        bestRule = rules[r];
+      }
+    }
+
+    if (!best) break;
+    if (best.index > pos) tokens.push({ text: line.slice(pos, best.index), type: null });
+
+    let end = best.index + best[0].length;
+    const { close, untilLine } = bestRule;
+
+    if (close) {
+      const re = typeof close === 'function' ? sticky(close(best)) : close;
+      re.lastIndex = end;
+      const m = re.exec(line);
+      if (m) {
+        end += m[0].length;
+      } else {
+        end = line.length;
+        state.pending = { close: re, type: bestRule.type };
+      }
+    } else if (untilLine) {
+      const until = typeof untilLine === 'function' ? untilLine(best) : untilLine;
+      state.pending = { until, type: bestRule.type };
+    }
+
+    tokens.push({ text: line.slice(best.index, end), type: bestRule.type });
+    pos = end;
+
+    if (bestRule.push || (bestRule.pop && state.stack.length > 1)) {
+      if (bestRule.push) state.stack.push(bestRule.push);
+      else state.stack.pop();
+      rules = grammar[state.stack[state.stack.length - 1]];
+      cache = new Array(rules.length).fill(undefined);
+    }
+  }
+
+  if (pos < line.length) tokens.push({ text: line.slice(pos), type: null });
+  return tokens;
+}
+
+/** Next non-empty match of a global regex at or after `from` */
+function nextMatch(re, line, from) {
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(line)) && m[0] === '') re.lastIndex = m.index + 1;
+  return m;
+}
+
+function grammarFor(lang) {
+  return LANGUAGES.get(lang?.toLowerCase()) || null;
+}
+
+/**
+ * Highlight a complete piece of code.
+ *
+ * @param {string} code
+ * @param {string} lang
+ * @param {(text: string, type: string|null) => string} paint
+ * @returns {string[]} painted lines
+ */
+export function highlightLines(code, lang, paint) {
+  const highlighter = new LineHighlighter(lang, paint);
+  return code.split('\n').map(line => highlighter.line(line));
+}
+
+/**
+ * Line-at-a-time highlighter for code that arrives progressively.
+ * Remembers when a line ends inside a multi-line construct or a nested
+ * context, so the lines that follow are coloured as part of it.
+ */
+export class LineHighlighter {
+  /**
+   * @param {string} lang
+   * @param {(text: string, type: string|null) => string} paint
+   */
+  constructor(lang, paint) {
+    this.grammar = grammarFor(lang);
+    this.paint   = paint;
+    this._state  = initialState();
+  }
+
+  /**
+   * Highlight the next complete line of code.
+   * @param {string} line
+   * @returns {string}
+   */
+  line(line) {
+    if (!this.grammar) return this.paint(line, null);
+    return tokenizeLine(line, this.grammar, this._state)
+      .map(({ text, type }) => (text ? this.paint(text, type) : ''))
+      .join('');
+  }
+}
@@ -0,0 +1,232 @@
+// ─── Inkdown HTML Renderer ────────────────────────────────────────────────────
+// Renders the same AST as the terminal Renderer into semantic HTML. Styling
+// is left to CSS: every element carries a class named after the theme key it
+// is coloured by (`sm-h1`, `sm-inline-code`, `sm-syntax-keyword`, …), and
+// `stylesheet()` turns the theme into the matching rules.
+
+import { parse } from './parser.js';
+import { LineHighlighter } from './highlight.js';
+import { isDiff, DiffLines } from './diff.js';
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+// Link and image urls are written into the page, so only schemes that can't
+// run script get through: http(s), mailto and scheme-less (relative) urls.
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+/** Whether a url is safe to put in an `href`/`src` */
+function safeUrl(url) {
+  // Browsers skip control characters and whitespace in a scheme (`java\tscript:`)
+  const scheme = url.replace(/[\x00-\x20\x7f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function title(node) {
+  return node.title ? ` title="${escapeHtml(node.title)}"` : '';
+}
+
+/** Theme key → CSS class, e.g. `inlineCode` → `sm-inline-code` */
+function cls(key) {
+  return 'sm-' + key.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase());
+}
+
+function declarations(styleConfig) {
+  const decl = [];
+  if (styleConfig.color)         decl.push(`color: ${styleConfig.color}`);
+  if (styleConfig.bg)            decl.push(`background: ${styleConfig.bg}`);
+  if (styleConfig.bold)          decl.push('font-weight: bold');
+  if (styleConfig.italic)        decl.push('font-style: italic');
+  if (styleConfig.underline)     decl.push('text-decoration: underline');
+  if (styleConfig.strikethrough) decl.push('text-decoration: line-through');
+  return decl;
+}
+
+// ── Renderer ─────────────────────────────────────────────────────────────────
+
+export class HtmlRenderer {
+  constructor(theme) {
+    this.theme    = theme;
+    this.terminal = false;
+  }
+
+  /**
+   * Render a complete markdown string to an HTML fragment.
+   */
+  render(markdown) {
+    return this.renderDocument(parse(markdown));
+  }
+
+  /**
+   * Render a document AST produced by `parse()`.
+   */
+  renderDocument(doc) {
+    return doc.children.map(b => this._renderBlock(b)).join('\n');
+  }
+
+  /**
+   * CSS rules for every class this renderer emits, derived from the theme.
+   * @returns {string}
+   */
+  stylesheet() {
+    const rules = [];
+    for (const [key, value] of Object.entries(this.theme)) {
+      if (key === 'ansi16') continue;
+      if (key === 'syntax') {
+        for (const [type, color] of Object.entries(value)) {
+          rules.push(`.${cls('syntax-' + type)} { color: ${color}; }`);
+        }
+        continue;
+      }
+      if (key.startsWith('alert')) {
+        rules.push(`.${cls(key)} { border-left: 3px solid ${value.color}; }`);
+        rules.push(`.${cls(key)} .sm-alert-title { color: ${value.color}; font-weight: bold; }`);
+        continue;
+      }
+      const decl = key === 'tableAlt' ? [`background: ${value.color}`] : declarations(value);
+      if (key === 'blockquote' && value.border) decl.push(`border-left: 3px solid ${value.border}`);
+      if (key === 'tableBorder') decl.push(`border: 1px solid ${value.color}`);
+      if (decl.length) rules.push(`.${cls(key)} { ${decl.join('; ')}; }`);
+    }
+    rules.push(`.sm-interrupted { color: ${this.theme.alertCaution.color}; font-style: italic; }`);
+    return rules.join('\n');
+  }
+
+  // ── Inline renderer ───────────────────────────────────────────────────────
+
+  _renderInline(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'bold':          return `<strong class="${cls('bold')}">${this._renderInline(node.children)}</strong>`;
+        case 'italic':        return `<em class="${cls('italic')}">${this._renderInline(node.children)}</em>`;
+        case 'strikethrough': return `<del class="${cls('strikethrough')}">${this._renderInline(node.children)}</del>`;
+        case 'inlineCode':    return `<code class="${cls('inlineCode')}">${escapeHtml(node.value)}</code>`;
+        // A link or image with an unsafe url is left as its text
+        case 'link':
+          if (!safeUrl(node.url)) return this._renderInline(node.children);
+          return `<a class="${cls('link')}" href="${escapeHtml(node.url)}"${title(node)}>${this._renderInline(node.children)}</a>`;
+        case 'image':
+          if (!safeUrl(node.url)) return escapeHtml(node.alt);
+          return `<img class="sm-image" src="${escapeHtml(node.url)}" alt="${escapeHtml(node.alt)}"${title(node)}>`;
+        default:              return escapeHtml(node.value ?? '');
+      }
+    }).join('');
+  }
+
+  _paintToken(text, type) {
+    return type ? `<span class="${cls('syntax-' + type)}">${escapeHtml(text)}</span>` : escapeHtml(text);
+  }
+
+  // ── Block renderers ───────────────────────────────────────────────────────
+
+  _renderBlock(block) {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level} class="${cls('h' + block.level)}">${this._renderInline(block.children)}</h${block.level}>`;
+      case 'code':       return this._renderCodeBlock(block);
+      case 'blockquote':
+        return `<blockquote class="${cls('blockquote')}">\n` +
+          block.children.map(b => this._renderBlock(b)).filter(Boolean).join('\n') +
+          '\n</blockquote>';
+      case 'alert': {
+        const key = 'alert' + block.kind[0].toUpperCase() + block.kind.slice(1);
+        return `<div class="sm-alert ${cls(key)}">\n` +
+          `<p class="sm-alert-title">${block.kind[0].toUpperCase() + block.kind.slice(1)}</p>\n` +
+          block.children.map(b => this._renderBlock(b)).filter(Boolean).join('\n') +
+          '\n</div>';
+      }
+      case 'ul':         return this._renderList('ul', block.items);
+      case 'ol':         return this._renderList('ol', block.items);
+      case 'table':      return this._renderTable(block);
+      case 'hr':         return `<hr class="${cls('hr')}">`;
+      case 'paragraph':  return `<p class="${cls('text')}">${this._renderInline(block.children)}</p>`;
+      case 'empty':      return '';
+      default:           return '';
+    }
+  }
+
+  _renderCodeBlock({ lang, content }) {
+    const body = this.codeBlockBody(lang);
+    const lines = [...content.split('\n').flatMap(line => body.push(line)), ...body.end()];
+    return this.codeBlockHeader(lang) + '\n' + lines.join('\n') + '\n' + this.codeBlockFooter();
+  }
+
+  // Code block pieces — the stream writes these one line at a time.
+  // The header ends in `<pre>` so the newline that follows it is ignored.
+
+  /** Highlighter to feed the block's lines through, one at a time */
+  codeHighlighter(lang) {
+    return new LineHighlighter(lang, (text, type) => this._paintToken(text, type));
+  }
+
+  /** Lines of the block, fed one at a time; see the terminal Renderer */
+  codeBlockBody(lang) {
+    if (isDiff(lang)) {
+      const diff = new DiffLines();
+      const draw = (entries) => entries.map(e => this._diffLine(e));
+      return { push: (line) => draw(diff.push(line)), end: () => draw(diff.end()) };
+    }
+    const highlighter = this.codeHighlighter(lang);
+    return { push: (line) => [this.codeBlockLine(highlighter.line(line))], end: () => [] };
+  }
+
+  _diffLine({ kind, segments }) {
+    const key = kind === 'context' ? null : 'diff' + kind[0].toUpperCase() + kind.slice(1);
+    const text = segments.map(seg => seg.changed
+      ? `<span class="${cls(key + 'Word')}">${escapeHtml(seg.text)}</span>`
+      : escapeHtml(seg.text)).join('');
+    return key ? `<span class="${cls(key)}">${text}</span>` : text;
+  }
+
+  /** Opening tags, with the language label */
+  codeBlockHeader(lang) {
+    const label = lang ? `<div class="${cls('codeLang')}">${escapeHtml(lang)}</div>` : '';
+    const langClass = lang ? ` language-${escapeHtml(lang)}` : '';
+    return `<div class="${cls('codeBlock')}">${label}<pre class="sm-code${langClass}">`;
+  }
+
+  /** One already-highlighted line of code */
+  codeBlockLine(line) {
+    return line;
+  }
+
+  /** Closing tags */
+  codeBlockFooter() {
+    return '</pre></div>';
+  }
+
+  /** Marker for a stream that was cut short */
+  interrupted(reason) {
+    return `<p class="sm-interrupted">Interrupted${reason ? ': ' + escapeHtml(reason) : ''}</p>`;
+  }
+
+  _renderList(tag, items) {
+    const start = tag === 'ol' && items[0]?.num !== 1 ? ` start="${items[0].num}"` : '';
+    const marker = tag === 'ul' ? 'bullet' : 'number';
+    return `<${tag} class="${cls(marker)}"${start}>\n` + items.map(item => {
+      let box = '';
+      if (item.checked === true)  box = `<input type="checkbox" class="${cls('taskDone')}" checked disabled> `;
+      if (item.checked === false) box = `<input type="checkbox" class="${cls('taskOpen')}" disabled> `;
+      const nested = item.blocks.map(b => this._renderBlock(b)).filter(Boolean).join('\n');
+      return `<li>${box}${this._renderInline(item.children)}${nested ? '\n' + nested + '\n' : ''}</li>`;
+    }).join('\n') + `\n</${tag}>`;
+  }
+
+  _renderTable({ header, rows, align = [] }) {
+    if (!header.length) return '';
+    const style = (i) => align[i] ? ` style="text-align: ${align[i]}"` : '';
+    const row = (cells, tag, key, alt) =>
+      (alt ? `<tr class="${cls('tableAlt')}">` : '<tr>') + cells.map((cell, i) =>
+        `<${tag} class="${cls(key)}"${style(i)}>${this._renderInline(cell.children)}</${tag}>`).join('') + '</tr>';
+
+    return `<table class="${cls('tableBorder')}">\n` +
+      `<thead>${row(header, 'th', 'tableHeader', false)}</thead>\n` +
+      `<tbody>\n${rows.map((r, n) => row(r, 'td', 'tableCell', n % 2 === 1)).join('\n')}\n</tbody>\n` +
+      '</table>';
+  }
+}
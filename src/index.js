@@ -13,29 +13,74 @@
 //   for await (const chunk of llmStream) md.write(chunk);
 //   md.end();
 
-import { getTheme } from './themes.js';
-import { Renderer }  from './renderer.js';
+import { once } from 'node:events';
+import { Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+import { resolveTheme, defineTheme, registerTheme, loadTheme } from './themes.js';
+import { createRenderer } from './backends.js';
+import { HtmlRenderer } from './html.js';
+import { parse }     from './parser.js';
+import { registerLanguage, languages } from './highlight.js';
+import { detectBackground, colorLevel } from './terminal.js';
 import { MarkdownStream as _MarkdownStream } from './stream.js';
 
-export { themes } from './themes.js';
+export { themes, defineTheme, registerTheme, loadTheme } from './themes.js';
+export { parse };
+export { registerLanguage, languages };
+export { detectBackground } from './terminal.js';
 
 /**
- * One-shot: render a full markdown string and return the ANSI-styled result.
+ * @typedef {object} RenderOptions
+ * @property {string|object} [theme]   - theme name, path to a .json theme, theme object, or 'auto'
+ *           to follow the terminal background (default: 'dark'). 'auto' doesn't query the
+ *           terminal itself: await detectBackground() first, or it goes by COLORFGBG and
+ *           falls back to dark
+ * @property {{ light?: string|object, dark?: string|object }} [autoTheme] - themes 'auto'
+ *           picks between (default: { light: 'light', dark: 'dark' })
+ * @property {'ansi'|'plain'|'html'|Function} [backend] - output backend (default: 'ansi')
+ * @property {'auto'|'truecolor'|'256'|'16'|'none'} [color] - colours to emit; 'auto' asks the
+ *           output stream and honours NO_COLOR / FORCE_COLOR (default: 'auto')
+ * @property {number} [width]          - columns to lay out for (default: the output's columns, or 80)
+ * @property {boolean|number} [wrap]   - word-wrap paragraphs, lists and quotes (default: true)
+ * @property {'wrap'|'truncate'} [codeOverflow] - long code lines: soft-wrap or cut with … (default: 'wrap')
+ * @property {boolean} [lineNumbers]   - line-number gutter in code blocks (default: false)
+ * @property {'rounded'|'ascii'|'compact'} [tableStyle] - table border style (default: 'rounded')
+ * @property {boolean} [tableStripes]  - shade alternate table rows with `tableAlt` (default: true)
+ * @property {boolean} [numericAlign]  - right-align all-number table columns (default: false)
+ * @property {boolean} [diffWords]     - mark changed words in ```diff blocks (default: true)
+ * @property {'auto'|'osc8'|'inline'|'footnotes'} [links] - how link urls are shown: clickable
+ *           OSC 8 hyperlinks, `(url)` after the text, or numbered references listed after
+ *           the document; 'auto' picks osc8 when the terminal supports it (default: 'auto')
+ */
+
+/**
+ * One-shot: render a full markdown string and return the styled result.
  *
  * @param {string} markdown
- * @param {{ theme?: string|object }} opts
+ * @param {RenderOptions} opts
  * @returns {string}
  */
-export function render(markdown, { theme = 'dark' } = {}) {
-  const t = typeof theme === 'string' ? getTheme(theme) : theme;
-  return new Renderer(t).render(markdown);
+export function render(markdown, { theme = 'dark', autoTheme, backend = 'ansi', ...layout } = {}) {
+  const t = resolveTheme(theme, autoTheme);
+  return createRenderer(t, backend, layout).render(markdown);
+}
+
+/**
+ * CSS for the classes emitted by the `html` backend, derived from a theme.
+ *
+ * @param {string|object} theme
+ * @returns {string}
+ */
+export function stylesheet(theme = 'dark') {
+  const t = resolveTheme(theme);
+  return new HtmlRenderer(t).stylesheet();
 }
 
 /**
  * One-shot: render and immediately print to stdout.
  *
  * @param {string} markdown
- * @param {{ theme?: string|object }} opts
+ * @param {RenderOptions} opts
  */
 export function print(markdown, opts = {}) {
   process.stdout.write(render(markdown, opts) + '\n');
@@ -43,37 +88,145 @@ export function print(markdown, opts = {}) {
 
 /**
  * Streaming renderer — feed chunks as they arrive from an LLM/agent stream.
+ * An EventEmitter: 'block' and 'codeblock' as blocks are written, 'drain'
+ * when a full output is ready again, 'finish' once end() has flushed.
+ * A cancelled response is closed with abort(), and reset() reuses the
+ * instance for the next message.
  *
  * @example
  * const md = new MarkdownStream({ theme: 'dracula' });
+ * md.on('codeblock', ({ lang, code }) => saveSnippet(lang, code));
  * for await (const chunk of stream) md.write(chunk.delta.text);
- * md.end();
+ * await md.end();
  */
-export class MarkdownStream {
+export class MarkdownStream extends _MarkdownStream {
   /**
-   * @param {{ theme?: string|object, output?: NodeJS.WriteStream }} opts
+   * @param {RenderOptions & { output?: NodeJS.WriteStream, speculative?: boolean, progressiveCode?: boolean }} opts
    */
-  constructor({ theme = 'dark', output = process.stdout } = {}) {
-    const t = typeof theme === 'string' ? getTheme(theme) : theme;
-    this._inner = new _MarkdownStream({ theme: t, output });
+  constructor({ theme = 'dark', autoTheme, ...opts } = {}) {
+    super({ ...opts, theme: resolveTheme(theme, autoTheme) });
   }
 
-  /** Feed a chunk of text */
-  write(chunk) { this._inner.write(chunk); }
-
-  /** Flush and finalise */
-  end()        { this._inner.end(); }
-
   /**
-   * Convenience: pipe a Node.js Readable stream of text chunks.
-   * @param {AsyncIterable<string>} readable
+   * Convenience: pipe a Node.js Readable stream of text chunks (or any
+   * iterable of them, async or not), pausing whenever the output is full.
+   * Resolves once the output has flushed.
+   *
+   * If `signal` aborts, or the source throws or isn't iterable, the render is
+   * closed with abort() and the promise rejects with the signal's reason or
+   * the error.
+   *
+   * @param {AsyncIterable<string>|Iterable<string>} readable
+   * @param {{ signal?: AbortSignal }} [opts]
    */
-  async pipe(readable) {
-    for await (const chunk of readable) {
-      this.write(typeof chunk === 'string' ? chunk : chunk.toString());
+  async pipe(readable, { signal } = {}) {
+    let source, onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    aborted.catch(() => {});
+    const until = (promise) => signal ? Promise.race([promise, aborted]) : promise;
+
+    try {
+      signal?.throwIfAborted();
+      const iterate = readable?.[Symbol.asyncIterator] ?? readable?.[Symbol.iterator];
+      if (typeof iterate !== 'function') throw new Error('pipe() expects an iterable of text chunks');
+      source = iterate.call(readable);
+      for (let next; !(next = await until(source.next())).done;) {
+        const chunk = next.value;
+        if (!this.write(typeof chunk === 'string' ? chunk : chunk.toString())) await until(once(this, 'drain'));
+      }
+    } catch (err) {
+      // Stop a source still running (a Readable is destroyed)
+      Promise.resolve(source?.return?.()).catch(() => {});
+      await this.abort(err);
+      throw err;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
-    this.end();
+    await this.end();
   }
 }
 
-export default { render, print, MarkdownStream };
+// A transform can't see where its output ends up, so 'auto' colour goes by
+// stdout, as it does for render()
+const COLOR_NAMES = ['none', '16', '256', 'truecolor'];
+
+function colorFor({ color = 'auto' }) {
+  return color === 'auto' ? COLOR_NAMES[colorLevel()] : color;
+}
+
+/**
+ * The streaming renderer as a Node.js Transform: markdown text in, rendered
+ * text out. The transform re-emits the stream's 'block' and 'codeblock' events.
+ *
+ * @example
+ * Readable.from(llmChunks).pipe(createTransform({ theme: 'nord' })).pipe(process.stdout);
+ *
+ * @param {RenderOptions & { progressiveCode?: boolean }} [opts]
+ * @returns {import('node:stream').Transform}
+ */
+export function createTransform(opts = {}) {
+  const decoder = new StringDecoder('utf8');
+  let drain = null;   // tells the stream the reader wants more, once push() said stop
+  const transform = new Transform({
+    decodeStrings: false,
+    encoding: 'utf8',
+    transform(chunk, encoding, done) {
+      // Take no more input until a full reader has caught up
+      if (md.write(typeof chunk === 'string' ? chunk : decoder.write(chunk))) done();
+      else md.once('drain', () => done());
+    },
+    flush(done) {
+      md.write(decoder.end());
+      md.end();
+      done();
+    },
+    // The reader wants more: let the stream go on first, then the transform
+    // take its next chunk
+    read(size) {
+      const ready = drain;
+      drain = null;
+      ready?.();
+      Transform.prototype._read.call(this, size);
+    },
+  });
+  const output = {
+    write: (text) => transform.push(text),
+    once: (event, listener) => { drain = listener; },
+  };
+  const md = new MarkdownStream({ ...opts, color: colorFor(opts), output });
+  md.on('block', (event) => transform.emit('block', event));
+  md.on('codeblock', (event) => transform.emit('codeblock', event));
+  return transform;
+}
+
+/**
+ * The streaming renderer as a WHATWG TransformStream, for `pipeThrough()`:
+ * markdown text (or UTF-8 bytes) in, rendered text out.
+ *
+ * @example
+ * await response.body.pipeThrough(createWebTransform()).pipeTo(sink);
+ *
+ * @param {RenderOptions & { progressiveCode?: boolean }} [opts]
+ * @returns {TransformStream<string|Uint8Array, string>}
+ */
+export function createWebTransform(opts = {}) {
+  const decoder = new TextDecoder();
+  let md;
+  return new TransformStream({
+    start(controller) {
+      md = new MarkdownStream({ ...opts, color: colorFor(opts), output: { write: (text) => controller.enqueue(text) } });
+    },
+    transform(chunk) {
+      md.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    },
+    flush() {
+      md.write(decoder.decode());
+      md.end();
+    },
+  });
+}
+
+export default { render, print, parse, stylesheet, defineTheme, registerTheme, loadTheme, detectBackground, registerLanguage, languages, MarkdownStream, createTransform, createWebTransform };
@@ -0,0 +1,979 @@
+// ─── Inkdown Parser ───────────────────────────────────────────────────────────
+// Turns markdown text into a small AST: a list of blocks, each carrying its
+// inline content as a tree of nodes. The Renderer draws from this same tree,
+// so tooling that inspects it sees exactly what gets rendered.
+//
+// AST shape
+//
+//   document      { type: 'document', children: Block[] }
+//
+//   Blocks
+//   heading       { level, children: Inline[] }
+//   code          { lang, content }
+//   hr            {}
+//   blockquote    { children: Block[] }
+//   alert         { kind: 'note'|'tip'|'important'|'warning'|'caution', children: Block[] }
+//   ul            { items: Item[] }
+//   ol            { start, items: (Item & { num })[] }   (num: start, start + 1, …)
+//                 Item = { children: Inline[], blocks: Block[], checked, position }
+//                 `children` is the item's first line(s) of text, `blocks` any
+//                 indented content below it (nested lists, more paragraphs);
+//                 `checked` is true/false for `[x]`/`[ ]` task items, else null
+//   table         { header: Cell[], rows: Cell[][], align: ('left'|'center'|'right'|null)[] }
+//                 Cell = { content, children: Inline[], position }
+//   paragraph     { children: Inline[] }
+//   empty         {}
+//
+//   Inlines
+//   text          { value }
+//   bold          { children: Inline[] }
+//   italic        { children: Inline[] }
+//   strikethrough { children: Inline[] }
+//   inlineCode    { value }
+//   link          { url, title, children: Inline[] }
+//   image         { url, title, alt }
+//
+// Every node has a `position: { start, end }` of 1-based `{ line, column }`
+// points into the source; `end` points just past the last character.
+
+/**
+ * Parse a complete markdown string into a document AST.
+ *
+ * @param {string} markdown
+ * @returns {{ type: 'document', children: object[], position: object }}
+ */
+export function parse(markdown) {
+  const lines = markdown.split('\n');
+  const parser = new BlockParser();
+  return {
+    type: 'document',
+    children: [...parser.push(lines), ...parser.end()],
+    position: span(1, 1, lines.length, lines[lines.length - 1].length + 1),
+  };
+}
+
+// ── Incremental parsing ───────────────────────────────────────────────────────
+// `parse()` and the stream both go through BlockParser, so a document fed in
+// line by line comes out as exactly the blocks it parses to in one go.
+
+/**
+ * Block parser fed lines as they arrive. `push()` hands back the blocks that
+ * are settled — no later line can change them — and keeps the rest pending;
+ * `end()` hands back whatever is still pending.
+ */
+export class BlockParser {
+  constructor() {
+    this._lines  = [];     // lines of the blocks not yet settled
+    this._offset = 0;      // source line index of _lines[0]
+    this._fence  = null;   // fence of a code block open at the start of _lines
+    this._open   = null;   // type of the one block _lines parse to, if there is one
+  }
+
+  /** Lines received that aren't part of a settled block yet */
+  get pending() {
+    return this._lines;
+  }
+
+  /** The fence of a top-level code block still waiting for its closing fence */
+  get openFence() {
+    return this._fence;
+  }
+
+  /**
+   * @param {string[]} lines - complete lines, without their newlines
+   * @returns {object[]} newly settled blocks
+   */
+  push(lines) {
+    const fence = this._fence;
+    this._lines.push(...lines);
+    // Inside an open code block only a closing fence can settle anything
+    if (fence && !lines.some(line => closesFence(line, fence))) return [];
+    // Nor can lines that just extend the open list, paragraph, table or
+    // quote — parsing it all again for each would make long blocks quadratic
+    if (this._open) {
+      const before = this._lines.length - lines.length;
+      if (lines.every((line, n) => extendsBlock(this._open, this._lines, before + n))) return [];
+    }
+    return this._settle(false);
+  }
+
+  /** @returns {object[]} the blocks still pending, now that the input is over */
+  end() {
+    return this._settle(true);
+  }
+
+  _settle(final) {
+    const lines  = this._lines;
+    const blocks = parseBlocks(lines);
+    const count  = final ? blocks.length : settledCount(blocks, lines);
+    const done   = blocks.slice(0, count);
+
+    const used = count ? done[count - 1].position.end.line : 0;
+    shiftPositions(done, this._offset, []);
+    this._lines   = lines.slice(used);
+    this._offset += used;
+    this._fence   = this._lines.length ? openingFence(this._lines[0]) : null;
+    // A list stays open across blank lines; any other open block is alone
+    const rest = blocks.slice(count);
+    this._open = !final && rest.length && rest.slice(1).every(b => b.type === 'empty') ? rest[0].type : null;
+    return done;
+  }
+}
+
+/**
+ * How many leading blocks of a parse are settled. A block is settled once a
+ * later non-blank block has started after it; the last one (and blank lines
+ * after it) only when nothing can extend it: headings, rules and closed code
+ * blocks at once, paragraphs, tables and quotes once a blank line ends them.
+ * Lists never are, since an indented line after blank lines continues them.
+ */
+function settledCount(blocks, lines) {
+  let last = blocks.length - 1;
+  while (last >= 0 && blocks[last].type === 'empty') last--;
+  if (last < 0) return blocks.length;
+
+  const block = blocks[last];
+  const blankAfter = last < blocks.length - 1;
+  let settled;
+  switch (block.type) {
+    case 'heading':
+    case 'hr':
+      settled = true;
+      break;
+    case 'code': {
+      const { start, end } = block.position;
+      settled = end.line > start.line && closesFence(lines[end.line - 1], openingFence(lines[start.line - 1]));
+      break;
+    }
+    case 'ul':
+    case 'ol':
+      settled = false;
+      break;
+    default:
+      settled = blankAfter;
+  }
+  return settled ? blocks.length : last;
+}
+
+/**
+ * Whether `lines[n]` merely extends `type`, the one block `lines[0…n-1]`
+ * parse to, leaving it a single block that is still open.
+ */
+function extendsBlock(type, lines, n) {
+  const line = lines[n];
+  switch (type) {
+    case 'ul':
+    case 'ol': {
+      // Blank lines, lines indented into an item, and sibling items
+      if (line.trim() === '') return true;
+      const first = lines[0].match(LIST_RE);
+      if (indentOf(line) > first[1].length) return true;
+      const m = line.match(LIST_RE);
+      return !!m && m[1].length === first[1].length && /\d/.test(m[2]) === /\d/.test(first[2]);
+    }
+    case 'paragraph':
+      return continuesParagraph(line) && (n > 1 || !isTableStart(lines[0], line));
+    case 'table':
+      return line.includes('|');
+    case 'blockquote':
+    case 'alert':
+      return QUOTE_RE.test(line);
+    default:
+      return false;
+  }
+}
+
+/**
+ * The end of `lines` — one open block, as BlockParser keeps pending — cut
+ * down to about its last `count` lines, with what those need to parse as
+ * part of the same block: a table's header, a code fence, an alert's title.
+ * A list is cut before an item and that item renumbered, so the items draw
+ * as they will in the whole list. For drawing a block too tall to show.
+ *
+ * @param {string[]} lines
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function tailOf(lines, count) {
+  if (lines.length <= count) return lines;
+  const cut   = lines.length - count;
+  const first = lines[0];
+
+  const list = first.match(LIST_RE);
+  if (list) {
+    const indent  = list[1].length;
+    const ordered = /\d/.test(list[2]);
+    const sibling = (line) => {
+      const m = line.match(LIST_RE);
+      return !!m && m[1].length === indent && /\d/.test(m[2]) === ordered;
+    };
+    let from = cut;
+    while (from > 0 && !sibling(lines[from])) from--;
+    if (!from) return lines;
+    if (!ordered) return lines.slice(from);
+
+    // Only a sibling has a digit where the list's markers start
+    let index = 0;
+    for (let i = 1; i <= from; i++) {
+      if (/\d/.test(lines[i][indent] ?? '') && sibling(lines[i])) index++;
+    }
+    const [, pad, marker, gap, rest] = lines[from].match(LIST_RE);
+    return [pad + (parseInt(list[2], 10) + index) + marker.slice(-1) + gap + rest, ...lines.slice(from + 1)];
+  }
+
+  let keep = 0;
+  if (isTableStart(first, lines[1])) keep = 2;
+  else if (openingFence(first) || (QUOTE_RE.test(first) && ALERT_RE.test(first.replace(QUOTE_RE, '')))) keep = 1;
+  return [...lines.slice(0, keep), ...lines.slice(Math.max(keep, cut))];
+}
+
+// ── Positions ─────────────────────────────────────────────────────────────────
+
+function point(line, column) {
+  return { line, column };
+}
+
+function span(startLine, startCol, endLine, endCol) {
+  return { start: point(startLine, startCol), end: point(endLine, endCol) };
+}
+
+/** Position of whole source lines `from`..`to` (0-based, inclusive) */
+function lineSpan(lines, from, to) {
+  return span(from + 1, 1, to + 1, (lines[to]?.length ?? 0) + 1);
+}
+
+/**
+ * Build an offset → point lookup for inline text assembled from one or more
+ * source segments (e.g. paragraph lines joined with spaces).
+ *
+ * @param {{ line: number, column: number, length: number }[]} segments
+ *        1-based line/column where each segment starts in the source
+ * @param {string} joiner - text inserted between segments
+ */
+function locator(segments, joiner = ' ') {
+  const starts = [];
+  let offset = 0;
+  for (const seg of segments) {
+    starts.push({ offset, ...seg });
+    offset += seg.length + joiner.length;
+  }
+
+  return (off) => {
+    let seg = starts[0];
+    for (const s of starts) {
+      if (s.offset > off) break;
+      seg = s;
+    }
+    return point(seg.line, seg.column + Math.min(off - seg.offset, seg.length));
+  };
+}
+
+// ── Block parser ──────────────────────────────────────────────────────────────
+
+const QUOTE_RE = /^ {0,3}> ?/;
+const ALERT_RE = /^\s*\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i;
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const start = i;
+
+    // Fenced code block — runs to a matching closing fence, or the end
+    const fence = openingFence(line);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !closesFence(lines[i], fence)) {
+        codeLines.push(fenceContent(lines[i], fence));
+        i++;
+      }
+      i++; // consume the closing fence
+      blocks.push({
+        type: 'code', lang: fence.lang, content: codeLines.join('\n'),
+        position: lineSpan(lines, start, Math.min(i, lines.length) - 1),
+      });
+      continue;
+    }
+
+    // Heading
+    const headingMatch = line.match(/^(#{1,6})\s+(.+)/);
+    if (headingMatch) {
+      const col = line.length - headingMatch[2].length + 1;
+      blocks.push({
+        type: 'heading',
+        level: headingMatch[1].length,
+        children: parseInline(headingMatch[2], locator([{ line: i + 1, column: col, length: headingMatch[2].length }])),
+        position: lineSpan(lines, i, i),
+      });
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^([-*_]){3,}\s*$/.test(line)) {
+      blocks.push({ type: 'hr', position: lineSpan(lines, i, i) });
+      i++;
+      continue;
+    }
+
+    // Blockquote — markers stripped and the rest parsed as blocks of its own
+    if (QUOTE_RE.test(line)) {
+      const inner = [];
+      const cols  = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        const cut = lines[i].match(QUOTE_RE)[0].length;
+        inner.push(lines[i].slice(cut));
+        cols.push(cut);
+        i++;
+      }
+      // GitHub alert: `> [!NOTE]` alone on the quote's first line
+      const alert = inner[0].match(ALERT_RE);
+      const skip  = alert ? 1 : 0;
+      const children = parseBlocks(inner.slice(skip));
+      shiftPositions(children, start + skip, cols.slice(skip));
+      const position = lineSpan(lines, start, i - 1);
+      blocks.push(alert
+        ? { type: 'alert', kind: alert[1].toLowerCase(), children, position }
+        : { type: 'blockquote', children, position });
+      continue;
+    }
+
+    // List — unordered or ordered, with nested lists inside its items
+    if (LIST_RE.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    // Table — a header row, then a delimiter row with a cell for each column
+    if (isTableStart(line, lines[i + 1])) {
+      const align = parseAlign(lines[i + 1]);
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|')) {
+        if (i !== start + 1) rows.push(parseRow(lines[i], i));
+        i++;
+      }
+      const [header = [], ...body] = rows;
+      blocks.push({ type: 'table', header, rows: body, align, position: lineSpan(lines, start, i - 1) });
+      continue;
+    }
+
+    // Empty line
+    if (line.trim() === '') {
+      blocks.push({ type: 'empty', position: lineSpan(lines, i, i) });
+      i++;
+      continue;
+    }
+
+    // Paragraph — collect consecutive non-special lines
+    const paraLines = [line];
+    i++;
+    while (i < lines.length && continuesParagraph(lines[i])) {
+      paraLines.push(lines[i]);
+      i++;
+    }
+    // Continuation lines lose their leading indentation
+    const texts    = paraLines.map((l, n) => (n === 0 ? l : l.trimStart()));
+    const segments = texts.map((t, n) => ({
+      line: start + n + 1, column: 1 + paraLines[n].length - t.length, length: t.length,
+    }));
+    blocks.push({
+      type: 'paragraph',
+      children: parseInline(texts.join(' '), locator(segments)),
+      position: lineSpan(lines, start, i - 1),
+    });
+  }
+
+  return blocks;
+}
+
+/** Whether `line` goes on the paragraph before it rather than starting a block */
+function continuesParagraph(line) {
+  return line.trim() !== '' &&
+    !/^#{1,6}\s/.test(line) &&
+    !openingFence(line) &&
+    !/^([-*_]){3,}\s*$/.test(line) &&
+    !QUOTE_RE.test(line) &&
+    !LIST_RE.test(line);
+}
+
+// ── Fences and tables ─────────────────────────────────────────────────────────
+// Shared with the stream, which has to spot the same block starts line by line.
+
+const FENCE_RE       = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE_RE = /^ {0,3}(`{3,}|~{3,})\s*$/;
+
+/**
+ * The code fence `line` opens, if any: a run of three or more backticks or
+ * tildes, indented at most three spaces. Backtick fences can't have a
+ * backtick in their info string, whose first word is the language.
+ *
+ * @param {string} line
+ * @returns {{ char: string, length: number, indent: number, lang: string } | null}
+ */
+export function openingFence(line) {
+  const m = line.match(FENCE_RE);
+  if (!m || (m[2][0] === '`' && m[3].includes('`'))) return null;
+  return { char: m[2][0], length: m[2].length, indent: m[1].length, lang: m[3].trim().split(/\s+/)[0] };
+}
+
+/** Whether `line` closes `fence`: the same character, at least as many, nothing after */
+export function closesFence(line, fence) {
+  const m = line.match(FENCE_CLOSE_RE);
+  return !!m && m[1][0] === fence.char && m[1].length >= fence.length;
+}
+
+/** A line of code inside `fence`, less up to the fence's own indentation */
+export function fenceContent(line, fence) {
+  return line.slice(Math.min(fence.indent, indentOf(line)));
+}
+
+/**
+ * Whether `line` is a table's header row, judged with the line after it:
+ * the delimiter row must have one `---`/`:--:` cell per header cell.
+ *
+ * @param {string} line
+ * @param {string} [next]
+ */
+export function isTableStart(line, next) {
+  if (!line.includes('|') || next === undefined || !next.includes('-')) return false;
+  const cells = (row) => row.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+  const delims = cells(next);
+  return delims.every(c => /^:?-+:?$/.test(c)) && delims.length === cells(line).length;
+}
+
+// ── Lists ─────────────────────────────────────────────────────────────────────
+
+const LIST_RE = /^(\s*)([*+-]|\d{1,9}[.)])(\s+)(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+/;
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Parse a run of sibling list items starting at line `start`. Lines indented
+ * past the list's own marker belong to the current item and are parsed as
+ * blocks of their own, which is how nested (and mixed ul/ol) lists form.
+ */
+function parseList(lines, start) {
+  const first   = lines[start].match(LIST_RE);
+  const indent  = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const sibling = (line) => {
+    const m = line?.match(LIST_RE);
+    return m && m[1].length === indent && /\d/.test(m[2]) === ordered ? m : null;
+  };
+
+  const items = [];
+  let i = start;
+  let m;
+
+  while (i < lines.length && (m = sibling(lines[i]))) {
+    const itemStart  = i;
+    const contentCol = m[1].length + m[2].length + m[3].length;
+    const content = [m[4]];
+    const cols    = [contentCol];
+    i++;
+
+    // Indented lines, and blank lines followed by indented ones, continue the item
+    while (i < lines.length) {
+      let j = i;
+      while (j < lines.length && lines[j].trim() === '') j++;
+      if (j >= lines.length || indentOf(lines[j]) <= indent) break;
+      for (; i <= j; i++) {
+        const cut = Math.min(indentOf(lines[i]), contentCol);
+        content.push(lines[i].slice(cut));
+        cols.push(cut);
+      }
+    }
+
+    // Task item checkbox
+    let checked = null;
+    const task = content[0].match(TASK_RE);
+    if (task) {
+      checked = task[1] !== ' ';
+      content[0] = content[0].slice(task[0].length);
+      cols[0] += task[0].length;
+    }
+
+    const blocks = parseBlocks(content);
+    shiftPositions(blocks, itemStart, cols);
+    const lead = blocks[0]?.type === 'paragraph' ? blocks.shift().children : [];
+
+    const item = { children: lead, blocks, checked, position: lineSpan(lines, itemStart, i - 1) };
+    // Items count up from the first one's number, whatever theirs say
+    if (ordered) item.num = items.length ? items[0].num + items.length : parseInt(m[2], 10);
+    items.push(item);
+
+    // Blank lines between siblings keep the list going (a loose list)
+    let j = i;
+    while (j < lines.length && lines[j].trim() === '') j++;
+    if (j > i && sibling(lines[j])) i = j;
+  }
+
+  const block = ordered
+    ? { type: 'ol', start: items[0].num, items }
+    : { type: 'ul', items };
+  block.position = lineSpan(lines, start, i - 1);
+  return { block, next: i };
+}
+
+/**
+ * Move positions parsed from a sub-document (an item's dedented lines) back
+ * into source coordinates: sub-line n is source line `lineOffset + n`, and
+ * had `cols[n - 1]` characters of indentation cut off.
+ */
+function shiftPositions(node, lineOffset, cols) {
+  if (Array.isArray(node)) {
+    node.forEach(n => shiftPositions(n, lineOffset, cols));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'position') {
+      shiftPositions(value, lineOffset, cols);
+      continue;
+    }
+    for (const p of [value.start, value.end]) {
+      p.column += cols[p.line - 1] ?? 0;
+      p.line   += lineOffset;
+    }
+  }
+}
+
+/** Column alignment from a delimiter row: `:--` left, `:-:` center, `--:` right */
+function parseAlign(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(spec => {
+    spec = spec.trim();
+    const left  = spec.startsWith(':');
+    const right = spec.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+}
+
+function parseRow(line, i) {
+  const lead = line.match(/^\s*\|?/)[0].length;
+  const body = line.slice(lead).replace(/\|\s*$/, '');
+  const cells = [];
+  let col = lead;
+
+  for (const raw of body.split('|')) {
+    const content = raw.trim();
+    const from = col + raw.indexOf(content);
+    cells.push({
+      content,
+      children: parseInline(content, locator([{ line: i + 1, column: from + 1, length: content.length }])),
+      position: span(i + 1, from + 1, i + 1, from + content.length + 1),
+    });
+    col += raw.length + 1;
+  }
+
+  return cells;
+}
+
+// ── Inline parser ─────────────────────────────────────────────────────────────
+// Follows CommonMark: backslash escapes and code spans bind tightest, then
+// links/images, then emphasis, which is resolved from delimiter runs (`*`,
+// `_`, GFM `~~`) by the spec's flanking rules — so `snake_case_name` and
+// `2 * 3 * 4` stay literal.
+
+const ESCAPABLE = /[!-/:-@[-`{-~]/;
+const PUNCT_RE  = /[\p{P}\p{S}]/u;
+const SPACE_RE  = /\s/;
+
+/**
+ * Parse inline markdown (emphasis, code, strikethrough, links, images).
+ *
+ * @param {string} text
+ * @param {(offset: number) => { line: number, column: number }} [locate]
+ *        maps an offset in `text` back to the source; defaults to line 1
+ * @returns {object[]} inline nodes
+ */
+export function parseInline(text, locate = (off) => point(1, off + 1)) {
+  return inlineNodes(text, 0, text.length, locate);
+}
+
+function inlineNodes(text, from, to, locate) {
+  const items = [];     // nodes, and delimiter runs still to be matched
+  let plain = from;     // start of the pending run of plain text
+  let i = from;
+
+  const at = (a, b) => ({ start: locate(a), end: locate(b) });
+  const flush = (upTo) => {
+    if (upTo > plain) items.push({ type: 'text', value: text.slice(plain, upTo), position: at(plain, upTo) });
+  };
+  const push = (node, next) => {
+    flush(i);
+    items.push(node);
+    i = plain = next;
+  };
+
+  while (i < to) {
+    const ch = text[i];
+
+    // Backslash escape
+    if (ch === '\\' && i + 1 < to && ESCAPABLE.test(text[i + 1])) {
+      push({ type: 'text', value: text[i + 1], position: at(i, i + 2) }, i + 2);
+      continue;
+    }
+
+    // Code span — a run of n backticks closed by exactly n
+    if (ch === '`') {
+      const n = runLength(text, i, to);
+      const end = closingBackticks(text, i + n, to, n);
+      if (end === -1) {
+        i += n;
+        continue;
+      }
+      push({ type: 'inlineCode', value: codeContent(text.slice(i + n, end)), position: at(i, end + n) }, end + n);
+      continue;
+    }
+
+    // Autolink <https://…> and bare http(s) urls
+    const auto = autolinkAt(text, i, to);
+    if (auto) {
+      const url = auto.url;
+      const textAt = auto.bracketed ? i + 1 : i;
+      push({
+        type: 'link',
+        url,
+        title: null,
+        children: [{ type: 'text', value: url, position: at(textAt, textAt + url.length) }],
+        position: at(i, i + auto.length),
+      }, i + auto.length);
+      continue;
+    }
+
+    // Link [text](url "title") and image ![alt](url)
+    const image = ch === '!' && text[i + 1] === '[';
+    if (ch === '[' || image) {
+      const open = image ? i + 1 : i;
+      const link = linkAt(text, open, to);
+      if (link) {
+        push(image
+          ? { type: 'image', url: link.url, title: link.title, alt: plainText(inlineNodes(text, open + 1, link.close, locate)), position: at(i, link.end) }
+          : { type: 'link', url: link.url, title: link.title, children: inlineNodes(text, open + 1, link.close, locate), position: at(i, link.end) },
+        link.end);
+        continue;
+      }
+    }
+
+    // Emphasis / strikethrough delimiter run
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const n = runLength(text, i, to);
+      if (ch === '~' && n !== 2) {
+        i += n;
+        continue;
+      }
+      const before = i > from ? text[i - 1] : ' ';
+      const after  = i + n < to ? text[i + n] : ' ';
+      const { canOpen, canClose } = flanking(ch, before, after);
+      push({ delim: ch, count: n, origCount: n, start: i, end: i + n, canOpen, canClose }, i + n);
+      continue;
+    }
+
+    i++;
+  }
+
+  flush(to);
+  processEmphasis(items, at);
+  return mergeText(items.map(item => toNode(item, text, at)));
+}
+
+function runLength(text, i, to) {
+  let n = 1;
+  while (i + n < to && text[i + n] === text[i]) n++;
+  return n;
+}
+
+/** Start of the next run of exactly `n` backticks at or after `from`, or -1 */
+function closingBackticks(text, from, to, n) {
+  for (let j = text.indexOf('`', from); j !== -1 && j < to; j = text.indexOf('`', j)) {
+    const len = runLength(text, j, to);
+    if (len === n) return j;
+    j += len;
+  }
+  return -1;
+}
+
+/** Strip one space from each side of a code span, unless it is all spaces */
+function codeContent(raw) {
+  return raw.length > 1 && raw[0] === ' ' && raw[raw.length - 1] === ' ' && raw.trim() !== ''
+    ? raw.slice(1, -1)
+    : raw;
+}
+
+/** Whether a delimiter run can open and/or close emphasis */
+function flanking(ch, before, after) {
+  const spaceBefore = SPACE_RE.test(before);
+  const spaceAfter  = SPACE_RE.test(after);
+  const punctBefore = PUNCT_RE.test(before);
+  const punctAfter  = PUNCT_RE.test(after);
+
+  const left  = !spaceAfter && (!punctAfter || spaceBefore || punctBefore);
+  const right = !spaceBefore && (!punctBefore || spaceAfter || punctAfter);
+
+  // `_` may not open or close inside a word
+  if (ch === '_') {
+    return { canOpen: left && (!right || punctBefore), canClose: right && (!left || punctAfter) };
+  }
+  return { canOpen: left, canClose: right };
+}
+
+/**
+ * Pair delimiter runs into emphasis, per CommonMark's "process emphasis":
+ * each closer is matched with the nearest compatible opener before it, two
+ * characters at a time (bold) where both runs have them, else one (italic).
+ */
+function processEmphasis(items, at) {
+  for (let ci = 0; ci < items.length; ci++) {
+    const closer = items[ci];
+    if (!closer.delim || !closer.canClose) continue;
+
+    let oi = ci - 1;
+    while (closer.count > 0 && oi >= 0) {
+      const opener = items[oi];
+      if (!opener.delim || opener.delim !== closer.delim || !opener.canOpen || !canPair(opener, closer)) {
+        oi--;
+        continue;
+      }
+
+      const use  = closer.delim === '~' ? 2 : opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      const type = closer.delim === '~' ? 'strikethrough' : use === 2 ? 'bold' : 'italic';
+
+      opener.count -= use;
+      opener.end   -= use;
+      const children = mergeText(items.slice(oi + 1, ci).map(item => toNode(item, null, at)));
+      const node = { type, children, position: at(opener.end, closer.start + use) };
+      closer.count -= use;
+      closer.start += use;
+
+      items.splice(oi + 1, ci - oi - 1, node);
+      ci = oi + 2;
+      if (opener.count === 0) {
+        items.splice(oi, 1);
+        ci--;
+        oi--;
+      }
+    }
+
+    if (closer.count === 0) {
+      items.splice(ci, 1);
+      ci--;
+    }
+  }
+}
+
+/** The "rule of 3" and GFM's equal-length rule for `~~` */
+function canPair(opener, closer) {
+  if (opener.delim === '~') return opener.count === 2 && closer.count === 2;
+  const either = opener.canClose || closer.canOpen;
+  const sum = opener.origCount + closer.origCount;
+  return !(either && sum % 3 === 0 && !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0));
+}
+
+/** Unmatched delimiter runs fall back to literal text */
+function toNode(item, text, at) {
+  if (!item.delim) return item;
+  return { type: 'text', value: item.delim.repeat(item.count), position: at(item.start, item.end) };
+}
+
+function mergeText(nodes) {
+  const out = [];
+  for (const node of nodes) {
+    if (node.type === 'text' && !node.value) continue;
+    const last = out[out.length - 1];
+    if (node.type === 'text' && last?.type === 'text') {
+      out[out.length - 1] = {
+        type: 'text', value: last.value + node.value,
+        position: { start: last.position.start, end: node.position.end },
+      };
+    } else {
+      out.push(node);
+    }
+  }
+  return out;
+}
+
+/** Text content of inline nodes, markup dropped (an image's alt text) */
+function plainText(nodes) {
+  return nodes.map(n => n.value ?? (n.children ? plainText(n.children) : n.alt ?? '')).join('');
+}
+
+/**
+ * A link starting at the `[` at `open`: bracketed text (brackets may nest;
+ * escapes and code spans can't close it), then `(destination "title")`.
+ * Returns `{ close, url, title, end }`, or null if this `[` is just text.
+ */
+function linkAt(text, open, to) {
+  let depth = 0;
+  let close = -1;
+  for (let j = open; j < to && close === -1; j++) {
+    const c = text[j];
+    if (c === '\\') { j++; continue; }
+    if (c === '`') {
+      const n = runLength(text, j, to);
+      const end = closingBackticks(text, j + n, to, n);
+      j = (end === -1 ? j + n : end + n) - 1;
+      continue;
+    }
+    if (c === '[') depth++;
+    if (c === ']' && --depth === 0) close = j;
+  }
+  if (close === -1 || text[close + 1] !== '(') return null;
+
+  let j = close + 2;
+  const skipSpace = () => { while (j < to && SPACE_RE.test(text[j])) j++; };
+  skipSpace();
+
+  // Destination: <…>, or a run without spaces whose parentheses balance
+  let url = '';
+  if (text[j] === '<') {
+    const end = text.indexOf('>', j + 1);
+    if (end === -1 || end >= to || /[<\n]/.test(text.slice(j + 1, end))) return null;
+    url = text.slice(j + 1, end);
+    j = end + 1;
+  } else {
+    const start = j;
+    let parens = 0;
+    for (; j < to && !SPACE_RE.test(text[j]); j++) {
+      if (text[j] === '\\' && j + 1 < to) { j++; continue; }
+      if (text[j] === '(') parens++;
+      if (text[j] === ')' && parens-- === 0) break;
+    }
+    url = text.slice(start, j);
+  }
+
+  // Optional title, after at least one space
+  let title = null;
+  const spaced = SPACE_RE.test(text[j] ?? '');
+  skipSpace();
+  const quote = { '"': '"', "'": "'", '(': ')' }[text[j]];
+  if (quote && spaced) {
+    let end = j + 1;
+    while (end < to && text[end] !== quote) end += text[end] === '\\' ? 2 : 1;
+    if (end >= to) return null;
+    title = unescape(text.slice(j + 1, end));
+    j = end + 1;
+    skipSpace();
+  }
+
+  if (text[j] !== ')') return null;
+  return { close, url: unescape(url), title, end: j + 1 };
+}
+
+function unescape(str) {
+  return str.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+const ANGLE_LINK_RE = /<((?:https?|mailto):[^\s<>]+)>/y;
+const BARE_LINK_RE  = /https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]*_~]/y;
+
+/** An autolink starting at `i`: `<scheme:…>`, or a bare url not inside a word */
+function autolinkAt(text, i, to) {
+  if (text[i] === '<') {
+    ANGLE_LINK_RE.lastIndex = i;
+    const m = ANGLE_LINK_RE.exec(text);
+    if (m && i + m[0].length <= to) return { url: m[1], length: m[0].length, bracketed: true };
+    return null;
+  }
+  if (text[i] !== 'h' || /\w/.test(text[i - 1] ?? '')) return null;
+  BARE_LINK_RE.lastIndex = i;
+  const m = BARE_LINK_RE.exec(text.slice(0, to));
+  if (!m) return null;
+
+  // Keep a closing paren that balances one in the url (wiki-style links)
+  let url = m[0];
+  const unbalanced = (url.match(/\(/g) ?? []).length - (url.match(/\)/g) ?? []).length;
+  if (unbalanced > 0 && text[i + url.length] === ')' && i + url.length < to) url += ')';
+  return { url, length: url.length, bracketed: false };
+}
+
+/**
+ * Close any inline markers left open at the end of a partial line, so that
+ * text still arriving from a stream can be rendered tentatively.
+ * e.g. `see **bold te` → `see **bold te**`, `a [link` → `a [link]()`
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function closeInline(text) {
+  const open = [];
+  let i = 0;
+
+  while (i < text.length) {
+    // Escaped character — never a marker
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    // Code span — contents are literal, so skip straight to its end
+    if (text[i] === '`') {
+      const n = runLength(text, i, text.length);
+      const end = closingBackticks(text, i + n, text.length, n);
+      if (end === -1) return text + '`'.repeat(n) + closers(open);
+      i = end + n;
+      continue;
+    }
+    // Link — `[` opens the text, `](` switches to the url
+    if (text[i] === '[') {
+      open.push('[');
+      i++;
+      continue;
+    }
+    if (text[i] === ']' && open[open.length - 1] === '[') {
+      open.pop();
+      if (text[i + 1] === '(') {
+        open.push('](');
+        i += 2;
+      } else {
+        if (i + 1 === text.length) open.push(']');
+        i++;
+      }
+      continue;
+    }
+    if (text[i] === ')' && open[open.length - 1] === '](') {
+      open.pop();
+      i++;
+      continue;
+    }
+    // Bold / bold+italic / strikethrough
+    const pair = ['***', '**', '~~'].find(m => text.startsWith(m, i));
+    if (pair) {
+      toggle(open, pair);
+      i += pair.length;
+      continue;
+    }
+    // Italic — only a marker when it hugs the text it wraps
+    if (text[i] === '*' || text[i] === '_') {
+      const marker = text[i];
+      if (open[open.length - 1] === marker && text[i - 1] !== ' ') {
+        open.pop();
+      } else if (text[i + 1] && text[i + 1] !== ' ' && !(marker === '_' && /\w/.test(text[i - 1] || ''))) {
+        open.push(marker);
+      }
+    }
+    i++;
+  }
+
+  return text + closers(open);
+}
+
+function toggle(stack, marker) {
+  const at = stack.lastIndexOf(marker);
+  if (at === -1) stack.push(marker);
+  else stack.splice(at, 1);
+}
+
+function closers(stack) {
+  const close = { '[': ']()', '](': ')', ']': '()' };
+  return stack.slice().reverse().map(m => close[m] ?? m).join('');
+}
@@ -1,15 +1,40 @@
 // ─── Inkdown Renderer ─────────────────────────────────────────────────────────
 // Converts markdown text into beautifully styled ANSI terminal output.
 // No external markdown parser — hand-rolled for speed and streaming compatibility.
-
-import chalk from 'chalk';
+//
+// This is the terminal backend: the `ansi` and `plain` outputs share its
+// layout and differ only in the chalk instance doing the styling.
+
+import { Chalk } from 'chalk';
+import { parse } from './parser.js';
+import { LineHighlighter } from './highlight.js';
+import { isDiff, DiffLines } from './diff.js';
+import { supportsHyperlinks, colorLevel } from './terminal.js';
+import { paletteKey } from './themes.js';
+import stringWidth from 'string-width';
+import { wrapAnsi, wrapWithPrefix, splitAnsi, visibleWidth } from './wrap.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-function applyStyle(text, styleConfig) {
-  let c = chalk;
-  if (styleConfig.color)  c = c.hex(styleConfig.color);
-  if (styleConfig.bg)     c = c.bgHex(styleConfig.bg);
+/**
+ * Chalk for one theme colour: a hex string or a chalk colour name. On
+ * 16-colour terminals the theme's `ansi16` palette (hex → colour name, or
+ * null for none; keyed by `paletteKey()`) overrides chalk's nearest-colour
+ * guess.
+ */
+function paint(c, color, palette, bg = false) {
+  if (c.level === 1 && palette) {
+    const named = palette[paletteKey(color)];
+    if (named === null) return c;
+    if (named) color = named;
+  }
+  if (color.startsWith('#')) return bg ? c.bgHex(color) : c.hex(color);
+  return bg ? c['bg' + color[0].toUpperCase() + color.slice(1)] : c[color];
+}
+
+function applyStyle(c, text, styleConfig, palette) {
+  if (styleConfig.color)  c = paint(c, styleConfig.color, palette);
+  if (styleConfig.bg)     c = paint(c, styleConfig.bg, palette, true);
   if (styleConfig.bold)         c = c.bold;
   if (styleConfig.italic)       c = c.italic;
   if (styleConfig.underline)    c = c.underline;
@@ -25,318 +50,219 @@ function termWidth() {
   return process.stdout.columns || 80;
 }
 
-// ── Basic Syntax Highlighter (token-based, no deps) ──────────────────────────
-
-const TOKEN_RULES = {
-  javascript: [
-    { re: /\/\/.*$/m,                          type: 'comment' },
-    { re: /\/\*[\s\S]*?\*\//,                  type: 'comment' },
-    { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`/, type: 'string' },
-    { re: /\b(const|let|var|function|class|return|if|else|for|while|do|switch|case|break|continue|import|export|default|from|of|in|new|this|typeof|instanceof|async|await|try|catch|finally|throw|null|undefined|true|false|void|delete|yield|super|extends|static)\b/, type: 'keyword' },
-    { re: /\b\d+\.?\d*\b/,                     type: 'number' },
-    { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,          type: 'tag' },
-    { re: /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(?=\()/, type: 'function' },
-    { re: /[{}[\]().,;:]/,                     type: 'punctuation' },
-    { re: /[+\-*/%=<>!&|^~?]/,               type: 'operator' },
-  ],
-  python: [
-    { re: /#.*$/m,                             type: 'comment' },
-    { re: /"""[\s\S]*?"""|'''[\s\S]*?'''/,    type: 'string' },
-    { re: /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/, type: 'string' },
-    { re: /\b(def|class|return|if|elif|else|for|while|import|from|as|with|try|except|finally|raise|pass|break|continue|and|or|not|in|is|lambda|yield|global|nonlocal|True|False|None|async|await)\b/, type: 'keyword' },
-    { re: /\b\d+\.?\d*\b/,                    type: 'number' },
-    { re: /\b([A-Z][a-zA-Z0-9_]*)\b/,         type: 'tag' },
-    { re: /\b([a-z_][a-zA-Z0-9_]*)\s*(?=\()/, type: 'function' },
-    { re: /[{}[\]().,;:]/,                    type: 'punctuation' },
-    { re: /[+\-*/%=<>!&|^~?@]/,             type: 'operator' },
-  ],
-  bash: [
-    { re: /#.*$/m,                             type: 'comment' },
-    { re: /"(?:\\.|[^"\\])*"|'[^']*'/,        type: 'string' },
-    { re: /\b(if|then|else|elif|fi|for|while|do|done|case|esac|function|return|exit|export|local|source|echo|cd|ls|mkdir|rm|cp|mv|grep|sed|awk|cat|pipe|sudo|chmod|chown)\b/, type: 'keyword' },
-    { re: /\$\{?[a-zA-Z_][a-zA-Z0-9_]*\}?/,  type: 'attribute' },
-    { re: /\b\d+\b/,                          type: 'number' },
-    { re: /[|&;><(){}[\]]/,                   type: 'operator' },
-  ],
-  json: [
-    { re: /"(?:\\.|[^"\\])*"\s*:/,            type: 'attribute' },
-    { re: /"(?:\\.|[^"\\])*"/,               type: 'string' },
-    { re: /\b(true|false|null)\b/,            type: 'keyword' },
-    { re: /\b\d+\.?\d*\b/,                   type: 'number' },
-    { re: /[{}[\],]/,                         type: 'punctuation' },
-  ],
-  css: [
-    { re: /\/\*[\s\S]*?\*\//,                 type: 'comment' },
-    { re: /"[^"]*"|'[^']*'/,                  type: 'string' },
-    { re: /[.#]?[a-zA-Z][a-zA-Z0-9_-]*\s*(?=\{)/, type: 'tag' },
-    { re: /[a-zA-Z-]+\s*(?=:)/,              type: 'attribute' },
-    { re: /:\s*([^;{]+)/,                    type: 'string' },
-    { re: /#[0-9a-fA-F]{3,8}\b/,            type: 'number' },
-    { re: /\b\d+\.?\d*(px|em|rem|%|vh|vw|s|ms)?\b/, type: 'number' },
-    { re: /[{}:;]/,                          type: 'punctuation' },
-  ],
-  typescript: [], // alias handled below
+/** Pad styled text to `width` columns, honouring a column's alignment */
+function align(text, width, how) {
+  const gap = Math.max(0, width - stringWidth(text));
+  if (how === 'right')  return repeat(' ', gap) + text;
+  if (how === 'center') return repeat(' ', Math.floor(gap / 2)) + text + repeat(' ', Math.ceil(gap / 2));
+  return text + repeat(' ', gap);
+}
+
+// Table border sets. `null` edges are left out entirely (compact style).
+const TABLE_BORDERS = {
+  rounded: { top: '╭┬╮', mid: '├┼┤', bottom: '╰┴╯', h: '─', v: '│', outer: true },
+  ascii:   { top: '+++', mid: '+++', bottom: '+++', h: '-', v: '|', outer: true },
+  compact: { top: null,  mid: '┼',   bottom: null,  h: '─', v: '│', outer: false },
 };
-TOKEN_RULES.ts  = TOKEN_RULES.typescript = TOKEN_RULES.javascript;
-TOKEN_RULES.js  = TOKEN_RULES.javascript;
-TOKEN_RULES.jsx = TOKEN_RULES.javascript;
-TOKEN_RULES.tsx = TOKEN_RULES.javascript;
-TOKEN_RULES.sh  = TOKEN_RULES.bash;
-TOKEN_RULES.zsh = TOKEN_RULES.bash;
-TOKEN_RULES.py  = TOKEN_RULES.python;
-
-function highlightCode(code, lang, syntaxColors) {
-  const rules = TOKEN_RULES[lang?.toLowerCase()];
-  if (!rules || !rules.length) return code;
-
-  const tokens = [];
-  let remaining = code;
-  let pos = 0;
-
-  while (remaining.length > 0) {
-    let bestMatch = null;
-    let bestIndex = Infinity;
-    let bestType = null;
-
-    for (const { re, type } of rules) {
-      const flagged = new RegExp(re.source, re.flags.includes('m') ? 'gm' : 'g');
-      flagged.lastIndex = 0;
-      const m = flagged.exec(remaining);
-      if (m && m.index < bestIndex) {
-        bestIndex = m.index;
-        bestMatch = m[0];
-        bestType  = type;
-      }
-    }
 
-    if (!bestMatch) {
-      tokens.push({ text: remaining, type: null });
-      break;
-    }
+// Diff line kinds → theme key (changed words use the key + 'Word')
+const DIFF_KEYS = {
+  header:  'diffHeader',
+  hunk:    'diffHunk',
+  added:   'diffAdded',
+  removed: 'diffRemoved',
+  context: null,
+};
 
-    if (bestIndex > 0) {
-      tokens.push({ text: remaining.slice(0, bestIndex), type: null });
-    }
-    tokens.push({ text: bestMatch, type: bestType });
-    remaining = remaining.slice(bestIndex + bestMatch.length);
-  }
+// GitHub alert kinds → icon, title and theme key
+const ALERTS = {
+  note:      { icon: 'ⓘ', title: 'Note',      key: 'alertNote' },
+  tip:       { icon: '✦', title: 'Tip',       key: 'alertTip' },
+  important: { icon: '❖', title: 'Important', key: 'alertImportant' },
+  warning:   { icon: '▲', title: 'Warning',   key: 'alertWarning' },
+  caution:   { icon: '⊘', title: 'Caution',   key: 'alertCaution' },
+};
+
+// `color` option → chalk level
+const COLOR_LEVELS = { none: 0, 16: 1, 256: 2, truecolor: 3 };
 
-  return tokens.map(({ text, type }) => {
-    if (!type || !syntaxColors[type]) return text;
-    return chalk.hex(syntaxColors[type])(text);
-  }).join('');
+const NUMERIC_RE = /^[-+]?[$€£¥]?\d[\d,]*(\.\d+)?%?$/;
+
+/** A column is numeric when every non-empty body cell is a number */
+function isNumericColumn(rows, i) {
+  const cells = rows.map(row => row[i]?.content ?? '').filter(Boolean);
+  return cells.length > 0 && cells.every(c => NUMERIC_RE.test(c));
 }
 
-// ── Inline Renderer ───────────────────────────────────────────────────────────
-
-function renderInline(text, theme) {
-  // Process inline markdown: bold, italic, code, strikethrough, links
-  let result = '';
-  let i = 0;
-
-  while (i < text.length) {
-    // Bold+italic ***text***
-    if (text.startsWith('***', i)) {
-      const end = text.indexOf('***', i + 3);
-      if (end !== -1) {
-        const inner = renderInline(text.slice(i + 3, end), theme);
-        result += chalk.bold.italic.hex(theme.bold.color)(inner);
-        i = end + 3;
-        continue;
-      }
-    }
-    // Bold **text**
-    if (text.startsWith('**', i)) {
-      const end = text.indexOf('**', i + 2);
-      if (end !== -1) {
-        const inner = renderInline(text.slice(i + 2, end), theme);
-        result += applyStyle(inner, theme.bold);
-        i = end + 2;
-        continue;
-      }
-    }
-    // Italic *text* or _text_
-    if ((text[i] === '*' || text[i] === '_') && text[i+1] !== text[i]) {
-      const marker = text[i];
-      const end = text.indexOf(marker, i + 1);
-      if (end !== -1 && text[end-1] !== ' ') {
-        const inner = renderInline(text.slice(i + 1, end), theme);
-        result += applyStyle(inner, theme.italic);
-        i = end + 1;
-        continue;
-      }
-    }
-    // Strikethrough ~~text~~
-    if (text.startsWith('~~', i)) {
-      const end = text.indexOf('~~', i + 2);
-      if (end !== -1) {
-        const inner = text.slice(i + 2, end);
-        result += applyStyle(inner, theme.strikethrough);
-        i = end + 2;
-        continue;
-      }
-    }
-    // Inline code `code`
-    if (text[i] === '`') {
-      const end = text.indexOf('`', i + 1);
-      if (end !== -1) {
-        const code = text.slice(i + 1, end);
-        result += applyStyle(` ${code} `, theme.inlineCode);
-        i = end + 1;
-        continue;
-      }
-    }
-    // Link [text](url)
-    if (text[i] === '[') {
-      const closeBracket = text.indexOf(']', i);
-      if (closeBracket !== -1 && text[closeBracket + 1] === '(') {
-        const closeParen = text.indexOf(')', closeBracket + 2);
-        if (closeParen !== -1) {
-          const linkText = renderInline(text.slice(i + 1, closeBracket), theme);
-          const url      = text.slice(closeBracket + 2, closeParen);
-          result += applyStyle(linkText, theme.link);
-          result += ' ' + applyStyle(`(${url})`, theme.linkHref);
-          i = closeParen + 1;
-          continue;
-        }
-      }
-    }
-    result += text[i];
-    i++;
+/**
+ * Narrow table columns, widest first, until they fit in `available` columns
+ * (or every column is down to a minimum of one character plus padding).
+ */
+function shrinkToFit(colWidths, available) {
+  let total = colWidths.reduce((a, b) => a + b, 0);
+  while (total > available) {
+    const widest = colWidths.indexOf(Math.max(...colWidths));
+    if (colWidths[widest] <= 3) break;
+    colWidths[widest]--;
+    total--;
   }
-
-  return result;
 }
 
 // ── Block Renderer ─────────────────────────────────────────────────────────────
 
 export class Renderer {
-  constructor(theme) {
-    this.theme = theme;
+  /**
+   * @param {object} theme
+   * @param {object} [opts]
+   * @param {import('chalk').ChalkInstance} [opts.chalk] - styling instance; a
+   *        level-0 chalk gives plain text with the same layout (overrides `color`)
+   * @param {'auto'|'truecolor'|'256'|'16'|'none'} [opts.color] - colours to
+   *        emit; 'auto' asks the output stream and honours NO_COLOR /
+   *        FORCE_COLOR (default: 'auto')
+   * @param {number} [opts.width] - columns to lay out for: headings, rules,
+   *        code frames and tables span it (default: stdout's columns, or 80)
+   * @param {boolean|number} [opts.wrap] - word-wrap paragraphs, list items and
+   *        blockquotes: `true` at `width`, a number at that column,
+   *        `false` not at all (default: true)
+   * @param {'wrap'|'truncate'} [opts.codeOverflow] - code lines wider than the
+   *        frame are soft-wrapped with a ↳ marker, or cut with … (default: 'wrap')
+   * @param {boolean} [opts.lineNumbers] - number code lines in a gutter (default: false)
+   * @param {'rounded'|'ascii'|'compact'} [opts.tableStyle] - table borders: box
+   *        drawing, plain ASCII, or inner separators only (default: 'rounded')
+   * @param {boolean} [opts.tableStripes] - shade every other body row with the
+   *        theme's `tableAlt` colour (default: true)
+   * @param {boolean} [opts.numericAlign] - right-align columns whose cells are
+   *        all numbers, unless the delimiter row says otherwise (default: false)
+   */
+  constructor(theme, {
+    chalk: c, color = 'auto', width = termWidth(), wrap = true, codeOverflow = 'wrap', lineNumbers = false,
+    tableStyle = 'rounded', tableStripes = true, numericAlign = false, diffWords = true,
+    links = 'auto', output = process.stdout,
+  } = {}) {
+    if (!c) {
+      const level = color === 'auto' ? colorLevel(output) : COLOR_LEVELS[color];
+      if (level === undefined) {
+        throw new Error(`Unknown color "${color}" (expected one of: auto, ${Object.keys(COLOR_LEVELS).join(', ')})`);
+      }
+      c = new Chalk({ level });
+    }
+
+    this.theme        = theme;
+    this.chalk        = c;
+    this.width        = width;
+    this.wrap         = wrap;
+    this.codeOverflow = codeOverflow;
+    this.lineNumbers  = lineNumbers;
+    this.tableStyle   = tableStyle;
+    this.tableStripes = tableStripes;
+    this.numericAlign = numericAlign;
+    this.diffWords    = diffWords;
+    this.links        = links === 'auto'
+      ? (c.level > 0 && supportsHyperlinks(output) ? 'osc8' : 'inline')
+      : links;
+    this.terminal     = true;   // fixed-width layout, can be repainted in place
+
+    // Footnote links: numbers handed out so far (kept across render calls,
+    // so a stream numbers its links once), and those not yet listed
+    this._linkRefs = new Map();   // url → number
+    this._newRefs  = [];
   }
 
   /**
    * Render a complete markdown string to an ANSI-styled string.
    */
-  render(markdown) {
-    const lines = markdown.split('\n');
-    const blocks = this._parseBlocks(lines);
-    return blocks.map(b => this._renderBlock(b)).join('\n');
-  }
-
-  // ── Block parser ──────────────────────────────────────────────────────────
-
-  _parseBlocks(lines) {
-    const blocks = [];
-    let i = 0;
-
-    while (i < lines.length) {
-      const line = lines[i];
-
-      // Fenced code block
-      if (/^```/.test(line)) {
-        const lang = line.slice(3).trim();
-        const codeLines = [];
-        i++;
-        while (i < lines.length && !lines[i].startsWith('```')) {
-          codeLines.push(lines[i]);
-          i++;
-        }
-        i++; // consume closing ```
-        blocks.push({ type: 'code', lang, content: codeLines.join('\n') });
-        continue;
-      }
+  render(markdown, { preview = false } = {}) {
+    if (!preview) return this.renderDocument(parse(markdown));
+
+    // A tentative render (a stream's unfinished line) must not use up
+    // footnote numbers or print the footnote list
+    const refs = new Map(this._linkRefs);
+    try {
+      return parse(markdown).children.map(b => this._renderBlock(b)).join('\n');
+    } finally {
+      this._linkRefs = refs;
+      this._newRefs  = [];
+    }
+  }
 
-      // Heading
-      const headingMatch = line.match(/^(#{1,6})\s+(.+)/);
-      if (headingMatch) {
-        blocks.push({ type: 'heading', level: headingMatch[1].length, content: headingMatch[2] });
-        i++;
-        continue;
-      }
+  /**
+   * Render a document AST produced by `parse()`.
+   */
+  renderDocument(doc) {
+    return doc.children.map(b => this._renderBlock(b)).join('\n') + this._renderFootnotes();
+  }
 
-      // Horizontal rule
-      if (/^([-*_]){3,}\s*$/.test(line)) {
-        blocks.push({ type: 'hr' });
-        i++;
-        continue;
-      }
+  // ── Inline renderer ───────────────────────────────────────────────────────
 
-      // Blockquote
-      if (line.startsWith('> ')) {
-        const quoteLines = [];
-        while (i < lines.length && lines[i].startsWith('> ')) {
-          quoteLines.push(lines[i].slice(2));
-          i++;
-        }
-        blocks.push({ type: 'blockquote', lines: quoteLines });
-        continue;
-      }
-
-      // Unordered list
-      if (/^(\s*)[*\-+]\s/.test(line)) {
-        const items = [];
-        while (i < lines.length && /^(\s*)[*\-+]\s/.test(lines[i])) {
-          const m = lines[i].match(/^(\s*)[*\-+]\s+(.*)/);
-          items.push({ indent: m[1].length, content: m[2] });
-          i++;
-        }
-        blocks.push({ type: 'ul', items });
-        continue;
+  _renderInline(nodes) {
+    const theme = this.theme;
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'bold':          return this._style(this._renderInline(node.children), theme.bold);
+        case 'italic':        return this._style(this._renderInline(node.children), theme.italic);
+        case 'strikethrough': return this._style(this._renderInline(node.children), theme.strikethrough);
+        case 'inlineCode':    return this._style(` ${node.value} `, theme.inlineCode);
+        case 'link':          return this._renderLink(node, this._style(this._renderInline(node.children), theme.link));
+        case 'image':         return this._renderLink(node, this._style(node.alt ? `[image: ${node.alt}]` : '[image]', theme.linkHref));
+        default:              return node.value ?? '';
       }
+    }).join('');
+  }
 
-      // Ordered list
-      if (/^\d+\.\s/.test(line)) {
-        const items = [];
-        let num = 1;
-        while (i < lines.length && /^\d+\.\s/.test(lines[i])) {
-          const m = lines[i].match(/^(\d+)\.\s+(.*)/);
-          items.push({ num: num++, content: m[2] });
-          i++;
-        }
-        blocks.push({ type: 'ol', items });
-        continue;
-      }
+  /**
+   * Links per the `links` mode: an OSC 8 hyperlink around the text, the url
+   * in brackets after it, or a numbered reference listed after the block.
+   * A url shown as its own text (an autolink) isn't repeated. Images can't
+   * be drawn, so they get the same treatment around an `[image: alt]` label.
+   */
+  _renderLink(node, text) {
+    const theme = this.theme;
+    if (!node.url) return text;
 
-      // Table
-      if (line.includes('|') && lines[i+1]?.match(/^\|?[\s\-|:]+\|?$/)) {
-        const tableLines = [];
-        while (i < lines.length && lines[i].includes('|')) {
-          tableLines.push(lines[i]);
-          i++;
-        }
-        blocks.push({ type: 'table', lines: tableLines });
-        continue;
-      }
+    if (this.links === 'osc8') return `\x1b]8;;${node.url}\x1b\\${text}\x1b]8;;\x1b\\`;
 
-      // Empty line
-      if (line.trim() === '') {
-        blocks.push({ type: 'empty' });
-        i++;
-        continue;
-      }
+    const bare = node.children?.length === 1 && node.children[0].value === node.url;
+    if (bare) return text;
 
-      // Paragraph — collect consecutive non-special lines
-      const paraLines = [];
-      while (
-        i < lines.length &&
-        lines[i].trim() !== '' &&
-        !/^#{1,6}\s/.test(lines[i]) &&
-        !/^```/.test(lines[i]) &&
-        !/^([-*_]){3,}\s*$/.test(lines[i]) &&
-        !lines[i].startsWith('> ') &&
-        !/^(\s*)[*\-+]\s/.test(lines[i]) &&
-        !/^\d+\.\s/.test(lines[i])
-      ) {
-        paraLines.push(lines[i]);
-        i++;
-      }
-      if (paraLines.length) {
-        blocks.push({ type: 'paragraph', content: paraLines.join(' ') });
+    if (this.links === 'footnotes') {
+      let num = this._linkRefs.get(node.url);
+      if (num === undefined) {
+        num = this._linkRefs.size + 1;
+        this._linkRefs.set(node.url, num);
+        this._newRefs.push(node.url);
       }
+      return text + this._style(`[${num}]`, theme.linkHref);
     }
+    return text + ' ' + this._style(`(${node.url})`, theme.linkHref);
+  }
+
+  /** List of footnote links first referenced since the last list */
+  _renderFootnotes() {
+    if (!this._newRefs.length) return '';
+    const theme = this.theme;
+    const list = this._newRefs.map(url =>
+      '  ' + this._style(`[${this._linkRefs.get(url)}]`, theme.linkHref) + ' ' + this._style(url, theme.link));
+    this._newRefs = [];
+    return '\n\n' + list.join('\n');
+  }
+
+  _style(text, styleConfig) {
+    return applyStyle(this.chalk, text, styleConfig, this.theme.ansi16);
+  }
+
+  _wrapWidth() {
+    if (this.wrap === false) return Infinity;
+    return typeof this.wrap === 'number' ? this.wrap : this.width;
+  }
+
+  /** Chalk for a theme colour at the output's colour level */
+  _paint(color, bg = false) {
+    return paint(this.chalk, color, this.theme.ansi16, bg);
+  }
 
-    return blocks;
+  _paintToken(text, type) {
+    const color = type && this.theme.syntax[type];
+    return color ? this._paint(color)(text) : text;
   }
 
   // ── Block renderers ───────────────────────────────────────────────────────
@@ -346,6 +272,7 @@ export class Renderer {
       case 'heading':    return this._renderHeading(block);
       case 'code':       return this._renderCodeBlock(block);
       case 'blockquote': return this._renderBlockquote(block);
+      case 'alert':      return this._renderAlert(block);
       case 'ul':         return this._renderUl(block);
       case 'ol':         return this._renderOl(block);
       case 'table':      return this._renderTable(block);
@@ -356,142 +283,322 @@ export class Renderer {
     }
   }
 
-  _renderHeading({ level, content }) {
+  _renderHeading({ level, children }) {
     const t = this.theme[`h${level}`];
-    const width = termWidth();
-    const rendered = renderInline(content, this.theme);
+    const width = this.width;
+    const rendered = this._renderInline(children);
 
     const prefixes = ['', '▌ ', '  ◈ ', '  ── ', '  ─ ', '   · ', '   · '];
     const prefix = prefixes[level] || '';
 
-    let line = applyStyle(prefix + rendered, t);
+    let line = this._style(prefix + rendered, t);
 
     // h1 gets a full-width underline, h2 gets a partial one
     if (level === 1) {
-      const bar = chalk.hex(t.color)(repeat('─', width));
+      const bar = this._paint(t.color)(repeat('─', width));
       return `\n${line}\n${bar}\n`;
     }
     if (level === 2) {
-      const bar = chalk.hex(t.color)(repeat('─', Math.min(40, width)));
+      const bar = this._paint(t.color)(repeat('─', Math.min(40, width)));
       return `\n${line}\n${bar}\n`;
     }
     return `\n${line}\n`;
   }
 
   _renderCodeBlock({ lang, content }) {
+    const source = content.split('\n');
+    const body = this.codeBlockBody(lang, source.length);
+    const codeLines = [...source.flatMap(line => body.push(line)), ...body.end()];
+
+    return this.codeBlockHeader(lang) + '\n' + codeLines.join('\n') + '\n' + this.codeBlockFooter();
+  }
+
+  // Code block frame pieces — also used by the stream to draw a block
+  // line-by-line while it is still arriving.
+
+  /** Highlighter to feed the block's lines through, one at a time */
+  codeHighlighter(lang) {
+    return new LineHighlighter(lang, (text, type) => this._paintToken(text, type));
+  }
+
+  /**
+   * The framed lines of a code block, fed one source line at a time:
+   * `push(line)` returns the lines ready to draw (none while a diff holds
+   * removed lines back to pair them), `end()` whatever is left.
+   *
+   * @param {string} lang
+   * @param {number} [lines] - the block's line count, if known, to size the
+   *        line-number gutter; without it (a block still arriving) the gutter
+   *        widens once the numbers outgrow it
+   */
+  codeBlockBody(lang, lines) {
+    let num = 0;
+    const digits = () => Math.max(3, String(lines ?? num).length);
+    if (isDiff(lang)) {
+      const diff = new DiffLines({ words: this.diffWords });
+      const draw = (entries) => entries.map(e => this._diffLine(e, ++num, digits()));
+      return { push: (line) => draw(diff.push(line)), end: () => draw(diff.end()) };
+    }
+    const highlighter = this.codeHighlighter(lang);
+    return { push: (line) => [this.codeBlockLine(highlighter.line(line), ++num, null, digits())], end: () => [] };
+  }
+
+  _diffLine({ kind, segments }, num, digits) {
     const theme = this.theme;
-    const width = termWidth();
-    const highlighted = highlightCode(content, lang, theme.syntax);
-    const lines = highlighted.split('\n');
+    const key = DIFF_KEYS[kind];
+    const text = segments
+      .map(seg => seg.changed ? this._style(seg.text, theme[key + 'Word']) : seg.text)
+      .join('');
+    return this.codeBlockLine(text, num, key && theme[key], digits);
+  }
 
-    const topBar    = chalk.hex(theme.tableBorder.color)('╭' + repeat('─', width - 2) + '╮');
-    const bottomBar = chalk.hex(theme.tableBorder.color)('╰' + repeat('─', width - 2) + '╯');
+  /** Top border with the language label, after the blank line that sets the block off */
+  codeBlockHeader(lang) {
+    const theme = this.theme;
+    const width = this.width;
+    const border = this._paint(theme.tableBorder.color);
 
+    const label = lang ? ` ${lang} ` : '';
     const langLabel = lang
-      ? chalk.hex(theme.codeLang.color)(` ${lang} `)
+      ? this._paint(theme.codeLang.color)(label)
       : '';
 
-    const header = chalk.hex(theme.tableBorder.color)('╭') +
-      chalk.hex(theme.tableBorder.color)(repeat('─', 2)) +
+    return '\n' + border('╭' + repeat('─', 2)) +
       langLabel +
-      chalk.hex(theme.tableBorder.color)(repeat('─', Math.max(0, width - 5 - (lang?.length || 0)))) +
-      chalk.hex(theme.tableBorder.color)('╮');
+      border(repeat('─', width - 4 - stringWidth(label)) + '╮');
+  }
 
-    const codeLines = lines.map(line => {
-      const bar = chalk.hex(theme.tableBorder.color)('│ ');
-      const endBar = chalk.hex(theme.tableBorder.color)(' │');
-      return bar + chalk.hex(theme.codeBlock.color)(line) + endBar;
-    });
+  /**
+   * One already-highlighted line of code inside the frame, padded so the
+   * right-hand bar lines up. Lines wider than the frame come back as several
+   * physical lines (wrap) or cut short (truncate).
+   *
+   * @param {string} line
+   * @param {number} [num] - 1-based line number, for the gutter
+   * @param {object} [style] - theme style for the whole row (a diff line's background)
+   * @param {number} [gutterWidth] - columns for the line number (default: 3)
+   */
+  codeBlockLine(line, num, style, gutterWidth = 3) {
+    const theme  = this.theme;
+    const border = this._paint(theme.tableBorder.color);
+    const dim    = this._paint(theme.codeLang.color);
 
-    return '\n' + header + '\n' + codeLines.join('\n') + '\n' + bottomBar + '\n';
+    const gutter = (n) => this.lineNumbers
+      ? dim(String(n ?? '').padStart(gutterWidth)) + border(' │ ')
+      : '';
+    const inner = Math.max(1, this.width - 4 - (this.lineNumbers ? gutterWidth + 3 : 0));
+
+    const expanded = line.replace(/\t/g, '    ');
+    let pieces;
+    if (visibleWidth(expanded) <= inner) {
+      pieces = [expanded];
+    } else if (this.codeOverflow === 'truncate') {
+      pieces = [splitAnsi(expanded, inner - 1)[0] + dim('…')];
+    } else {
+      // Continuation rows are narrower by the ↳ marker
+      const marker = dim('↳ ');
+      const [first, ...rest] = splitAnsi(expanded, inner, Math.max(1, inner - 2));
+      pieces = [first, ...rest.map(p => marker + p)];
+    }
+
+    return pieces.map((piece, n) => {
+      const pad = repeat(' ', inner - visibleWidth(piece));
+      const row = style
+        ? this._style(piece + pad, style)
+        : this._paint(theme.codeBlock.color)(piece) + pad;
+      return border('│ ') + gutter(n === 0 ? num : '') + row + border(' │');
+    }).join('\n');
   }
 
-  _renderBlockquote({ lines }) {
-    const theme = this.theme;
-    const border = chalk.hex(theme.blockquote.border)('┃ ');
-    return '\n' + lines.map(line => {
-      return border + applyStyle(renderInline(line, theme), theme.blockquote);
-    }).join('\n') + '\n';
+  /** Bottom border, and the blank line after it */
+  codeBlockFooter() {
+    const width = this.width;
+    return this._paint(this.theme.tableBorder.color)('╰' + repeat('─', width - 2) + '╯') + '\n';
   }
 
-  _renderUl({ items }) {
+  /** Marker for a stream that was cut short, with the reason if there is one */
+  interrupted(reason) {
+    const text = '⊘ Interrupted' + (reason ? ': ' + reason : '');
+    return this._style(text, { color: this.theme.alertCaution.color, italic: true });
+  }
+
+  _renderBlockquote({ children }) {
     const theme = this.theme;
+    const border = this._paint(theme.blockquote.border)('┃ ');
+    const body = this._inset(2, () => children.map(block => {
+      if (block.type === 'paragraph') {
+        const text = this._style(this._renderInline(block.children), theme.blockquote);
+        return wrapWithPrefix(text, this._wrapWidth(), '');
+      }
+      return this._renderBlock(block).replace(/^\n+|\n+$/g, '');
+    }).join('\n').replace(/\n+$/, ''));
+    return '\n' + body.split('\n').map(line => border + line).join('\n') + '\n';
+  }
+
+  /**
+   * GitHub alert (`> [!WARNING]`): a box in the alert's colour with an icon
+   * and title in the top border, content laid out inside it.
+   */
+  _renderAlert({ kind, children }) {
+    const { icon, title, key } = ALERTS[kind];
+    const color = this._paint(this.theme[key].color);
+    const width = this.width;
+    const inner = Math.max(1, width - 4);
+
+    const label = ` ${icon} ${title} `;
+    const top = color('╭─') + color.bold(label) + color(repeat('─', Math.max(0, width - 3 - stringWidth(label))) + '╮');
+    const body = this._inset(4, () => children.map(block => {
+      if (block.type === 'paragraph') return this._renderParagraph(block);
+      return this._renderBlock(block).replace(/^\n+|\n+$/g, '');
+    }).join('\n').replace(/\n+$/, ''));
+    const rows = body.split('\n').map(line =>
+      color('│ ') + line + repeat(' ', Math.max(0, inner - stringWidth(line))) + color(' │'));
+    const bottom = color('╰' + repeat('─', width - 2) + '╯');
+
+    return '\n' + [top, ...rows, bottom].join('\n') + '\n';
+  }
+
+  _renderUl(list) {
+    return '\n' + this._renderList(list, 0) + '\n';
+  }
+
+  _renderOl(list) {
+    return '\n' + this._renderList(list, 0) + '\n';
+  }
+
+  /**
+   * Items of a list, one marker per item. Anything nested under an item is
+   * rendered narrower and indented to line up with the item's text.
+   */
+  _renderList(list, depth) {
+    const theme   = this.theme;
     const bullets = ['●', '○', '◆', '◇'];
-    return '\n' + items.map(({ indent, content }) => {
-      const level  = Math.floor(indent / 2);
-      const bullet = chalk.hex(theme.bullet.color)(bullets[level % bullets.length]);
-      const pad    = repeat(' ', indent + 2);
-      return pad + bullet + ' ' + renderInline(content, theme);
-    }).join('\n') + '\n';
+    const pad     = depth === 0 ? '  ' : '';
+    const numW    = list.type === 'ol'
+      ? Math.max(...list.items.map(item => `${item.num}.`.length))
+      : 0;
+
+    return list.items.map(item => {
+      const marker = list.type === 'ol'
+        ? this._style(`${item.num}.`.padStart(numW), theme.number)
+        : this._paint(theme.bullet.color)(bullets[depth % bullets.length]);
+      const lead = pad + marker + ' ';
+      const hang = ' '.repeat(stringWidth(pad) + (list.type === 'ol' ? numW : 1) + 1);
+
+      const text = this._renderInline(item.children);
+      let first = lead;
+      let rest  = hang;
+      if (item.checked !== null && item.checked !== undefined) {
+        // ☑ measures wider than ☐ in some tables; indent by the narrow one
+        const box = item.checked
+          ? this._style('☑', theme.taskDone)
+          : this._style('☐', theme.taskOpen);
+        first += box + ' ';
+        rest  += ' '.repeat(stringWidth('☐') + 1);
+      }
+
+      const lines = [wrapWithPrefix(text, this._wrapWidth(), first, rest)];
+      const nested = this._renderItemBlocks(item.blocks, depth, stringWidth(rest));
+      if (nested) lines.push(nested.split('\n').map(l => l && rest + l).join('\n'));
+      return lines.join('\n');
+    }).join('\n');
   }
 
-  _renderOl({ items }) {
-    const theme = this.theme;
-    return '\n' + items.map(({ num, content }) => {
-      const n = applyStyle(`${num}.`, theme.number);
-      return `  ${n} ${renderInline(content, theme)}`;
-    }).join('\n') + '\n';
+  _renderItemBlocks(blocks, depth, indent) {
+    if (!blocks.length) return '';
+    return this._inset(indent, () => blocks.map(block => {
+      if (block.type === 'ul' || block.type === 'ol') return this._renderList(block, depth + 1);
+      return this._renderBlock(block).replace(/^\n+|\n+$/g, '');
+    }).join('\n'));
+  }
+
+  /** Run `fn` with `indent` fewer columns to lay out in, for content drawn behind a prefix */
+  _inset(indent, fn) {
+    const { width, wrap } = this;
+    this.width = Math.max(10, width - indent);
+    if (typeof wrap === 'number') this.wrap = Math.max(10, wrap - indent);
+    try {
+      return fn();
+    } finally {
+      this.width = width;
+      this.wrap  = wrap;
+    }
   }
 
-  _renderTable({ lines }) {
+  _renderTable(table) {
     const theme = this.theme;
 
-    // Parse rows
-    const rows = lines
-      .filter(l => !l.match(/^\|?[\s\-|:]+\|?$/))
-      .map(l => l.replace(/^\||\|$/g, '').split('|').map(c => c.trim()));
+    // Rendered cells — header and body styled, inline markdown applied
+    const rows = [table.header, ...table.rows].map((row, r) => row.map(cell =>
+      this._style(this._renderInline(cell.children), r === 0 ? theme.tableHeader : theme.tableCell)));
 
-    if (!rows.length) return '';
+    if (!rows[0].length) return '';
 
-    // Calculate column widths (visual width, accounting for future ANSI)
-    const cols = rows[0].length;
-    const colWidths = Array(cols).fill(0);
+    // Column widths by visible width, plus one space of padding either side
+    const cols = Math.max(...rows.map(row => row.length));
+    const colWidths = Array(cols).fill(3);
     rows.forEach(row => {
       row.forEach((cell, i) => {
-        colWidths[i] = Math.max(colWidths[i], cell.length + 2);
+        colWidths[i] = Math.max(colWidths[i], stringWidth(cell) + 2);
       });
     });
 
-    const borderColor = theme.tableBorder.color;
-    const hor  = (l, m, r, f) =>
-      chalk.hex(borderColor)(l + colWidths.map(w => repeat(f, w)).join(m) + r);
-
-    const top    = hor('╭', '┬', '╮', '─');
-    const mid    = hor('├', '┼', '┤', '─');
-    const bottom = hor('╰', '┴', '╯', '─');
-
-    const renderRow = (row, isHeader) => {
-      const cells = row.map((cell, i) => {
-        const pad = repeat(' ', colWidths[i] - cell.length - 1);
-        const styled = isHeader
-          ? applyStyle(cell, theme.tableHeader)
-          : applyStyle(cell, theme.tableCell);
-        return chalk.hex(borderColor)('│') + ' ' + styled + pad;
-      });
-      return cells.join('') + chalk.hex(borderColor)('│');
+    const borders = TABLE_BORDERS[this.tableStyle] || TABLE_BORDERS.rounded;
+    shrinkToFit(colWidths, this.width - (borders.outer ? cols + 1 : cols - 1));
+
+    const aligns = colWidths.map((_, i) => table.align?.[i] ??
+      (this.numericAlign && isNumericColumn(table.rows, i) ? 'right' : null));
+
+    const border = this._paint(theme.tableBorder.color);
+    const hor = (chars) => {
+      if (!chars) return null;
+      const [l, m, r] = borders.outer ? chars : ['', chars, ''];
+      return border(l + colWidths.map(w => repeat(borders.h, w)).join(m) + r);
+    };
+
+    const top    = hor(borders.top);
+    const mid    = hor(borders.mid);
+    const bottom = hor(borders.bottom);
+    const bar    = border(borders.v);
+    const edge   = borders.outer ? bar : '';
+    const stripe = this._paint(theme.tableAlt.color, true);
+
+    // A row is as tall as its most-wrapped cell
+    const renderRow = (row, striped) => {
+      const wrapped = colWidths.map((w, i) => wrapAnsi(row[i] ?? '', w - 2));
+      const height  = Math.max(...wrapped.map(lines => lines.length));
+      const lines = [];
+      for (let n = 0; n < height; n++) {
+        const cells = wrapped.map((cellLines, i) => {
+          const cell = ' ' + align(cellLines[n] ?? '', colWidths[i] - 2, aligns[i]) + ' ';
+          return striped ? stripe(cell) : cell;
+        });
+        lines.push(edge + cells.join(bar) + edge);
+      }
+      return lines.join('\n');
     };
 
     const [header, ...body] = rows;
     const result = [
       '',
       top,
-      renderRow(header, true),
+      renderRow(header, false),
       mid,
-      ...body.map(r => renderRow(r, false)),
+      ...body.map((r, n) => renderRow(r, this.tableStripes && n % 2 === 1)),
       bottom,
       '',
     ];
 
-    return result.join('\n');
+    return result.filter(line => line !== null).join('\n');
   }
 
   _renderHr() {
-    const width = termWidth();
-    return '\n' + chalk.hex(this.theme.hr.color)(repeat('─', width)) + '\n';
+    const width = this.width;
+    return '\n' + this._paint(this.theme.hr.color)(repeat('─', width)) + '\n';
   }
 
-  _renderParagraph({ content }) {
-    const rendered = renderInline(content, this.theme);
-    return applyStyle('', this.theme.text) + rendered;
+  _renderParagraph({ children }) {
+    const rendered = this._renderInline(children);
+    return wrapWithPrefix(this._style('', this.theme.text) + rendered, this._wrapWidth(), '');
   }
 }
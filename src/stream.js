@@ -3,208 +3,349 @@
 // an LLM/agent stream) and writes styled output to a writable stream —
 // without ever printing broken/partial markdown.
 //
+// Lines go through the same BlockParser as `render()`, and each block is
+// written once the parser has settled it, with the separators `render()`
+// puts between blocks — so the bytes written add up to exactly what
+// `render()` returns for the whole document, however it was chunked.
+//
 // Strategy:
-//   - Inline text  → render immediately as it arrives
-//   - Code blocks  → buffer until closing ``` then render complete
-//   - Block elements (tables, blockquotes) → buffer by paragraph boundary
-//   - Headings, HRs → render as soon as the line is complete
-
-import { Renderer } from './renderer.js';
+//   - Settled blocks → rendered and written as soon as no later line can
+//                      change them (headings at once, paragraphs at the
+//                      blank line or block that ends them)
+//   - Code blocks    → frame opened on the fence, each line highlighted and
+//                      drawn as it completes (or buffered until the closing fence)
+//   - Everything else, on a TTY → the unsettled tail, unfinished line
+//                      included, is drawn tentatively and repainted as it grows
+//
+// A stream cut short (a cancelled request) is closed with abort() instead of
+// end(): what has arrived is drawn, any open code frame is closed, and an
+// "interrupted" marker follows. reset() readies the instance for the next
+// message.
+//
+// Events: 'block' ({ type, text, node }) as each block is written,
+// 'codeblock' ({ lang, code, text }) as a code block closes, 'drain' when
+// the output is ready for more after write() returned false, 'finish' once
+// end() has written everything and the output has flushed it, and 'abort'
+// (reason) likewise for abort().
 
-const STATE = {
-  NORMAL:     'normal',
-  CODE_BLOCK: 'code_block',
-  TABLE:      'table',
-  BLOCKQUOTE: 'blockquote',
-};
+import { EventEmitter } from 'node:events';
+import { createRenderer } from './backends.js';
+import { BlockParser, closeInline, fenceContent, tailOf } from './parser.js';
+import { splitAnsi, visibleWidth } from './wrap.js';
 
-export class MarkdownStream {
+export class MarkdownStream extends EventEmitter {
   /**
    * @param {object} opts
    * @param {object} opts.theme       - Theme object from themes.js
+   * @param {string|Function} opts.backend - Output backend: 'ansi', 'plain', 'html' (default: 'ansi')
+   * @param {string} opts.color      - 'auto', 'truecolor', '256', '16' or 'none' (default: 'auto',
+   *                                     detected from output)
+   * @param {number} opts.width      - Columns to lay out for (default: output's columns, or 80;
+   *                                     followed as a TTY output is resized)
+   * @param {boolean|number} opts.wrap - Word-wrap paragraphs, lists and quotes (default: true)
+   * @param {string} opts.codeOverflow - Long code lines: 'wrap' or 'truncate' (default: 'wrap')
+   * @param {boolean} opts.lineNumbers - Line-number gutter in code blocks (default: false)
+   * @param {string} opts.links      - 'auto', 'osc8', 'inline' or 'footnotes' (default: 'auto';
+   *                                     footnotes are listed after the block that cites them)
    * @param {NodeJS.WriteStream} opts.output  - Where to write output (default: process.stdout)
    * @param {boolean} opts.newline    - Add trailing newline on end() (default: true)
+   * @param {boolean} opts.speculative - Draw unsettled blocks and partial lines before they
+   *                                     are final (default: true when output is a TTY)
+   * @param {boolean} opts.progressiveCode - Draw code blocks line-by-line instead of
+   *                                         buffering until the closing fence (default: true)
    */
-  constructor({ theme, output = process.stdout, newline = true } = {}) {
-    this.renderer = new Renderer(theme);
-    this.output   = output;
-    this.newline  = newline;
+  constructor({ theme, backend = 'ansi', output = process.stdout, newline = true, speculative = !!output.isTTY, progressiveCode = true, ...layout } = {}) {
+    super();
+    // A fresh renderer per message, so footnote numbers start again after reset()
+    this._createRenderer = () =>
+      createRenderer(theme, backend, { ...layout, output, width: layout.width ?? (output.columns || 80) });
+    this.renderer        = this._createRenderer();
+    this.output          = output;
+    this.newline         = newline;
+    this.speculative     = speculative && this.renderer.terminal;
+    this.progressiveCode = progressiveCode;
+    this._needDrain      = false;   // the output's buffer is full; waiting for 'drain'
+    this._init();
 
-    this._state      = STATE.NORMAL;
-    this._lineBuffer = '';     // chars not yet newline-terminated
-    this._blockBuf   = [];     // lines buffered for complex blocks
-    this._codeLang   = '';
+    // Re-layout for the new size when a TTY output is resized (SIGWINCH).
+    // An open code frame keeps its width; the change applies once it closes.
+    this._onResize = null;
+    if (layout.width === undefined && output.isTTY && typeof output.on === 'function') {
+      this._onResize = () => {
+        if (!this._codeBody) this.renderer.width = output.columns || 80;
+      };
+      output.on('resize', this._onResize);
+    }
+  }
+
+  /** Per-message state, set up afresh by reset() */
+  _init() {
+    this._parser     = new BlockParser();
+    this._lineBuffer = '';      // chars not yet newline-terminated
+    this._started    = false;   // a block has been written (the next needs a separator)
+    this._ended      = false;   // end() or abort() has been called
+    this._openLine   = '';      // written text after its last newline, held back
+    this._codeFence  = null;    // fence of the progressive code block being drawn
+    this._codeBody   = null;    // its line-by-line body
+    this._codeInput  = 0;       // source lines fed to it
+    this._codeText   = [];      // its rendered lines so far, header first
+    this._specRows   = 0;       // terminal rows the tentative tail occupies
+    this._specText   = null;    // source the tentative tail was drawn from
   }
 
   /**
    * Feed a chunk of text (may be partial, e.g. a single token from an LLM stream).
+   * Returns false when the output asked to slow down, like a Node.js
+   * Writable; wait for 'drain' before writing more.
+   *
    * @param {string} chunk
+   * @returns {boolean}
    */
   write(chunk) {
-    // Append chunk to the incomplete line buffer
+    if (this._ended) throw new Error('write after end (call reset() to start a new message)');
     this._lineBuffer += chunk;
 
-    // Process all complete lines
     const newlineIdx = this._lineBuffer.lastIndexOf('\n');
-    if (newlineIdx === -1) {
-      // No complete line yet — for normal state, we can still stream inline text
-      if (this._state === STATE.NORMAL && !this._lineBuffer.startsWith('```') && !this._lineBuffer.startsWith('|')) {
-        // Speculative inline render (no newline-dependent structure)
-        // We'll handle it properly when the line ends
-      }
-      return;
+    if (newlineIdx !== -1) {
+      const lines = this._lineBuffer.slice(0, newlineIdx).split('\n');
+      this._lineBuffer = this._lineBuffer.slice(newlineIdx + 1);
+      for (const line of lines) this._processLine(line);
     }
 
-    const completeText = this._lineBuffer.slice(0, newlineIdx + 1);
-    this._lineBuffer   = this._lineBuffer.slice(newlineIdx + 1);
-
-    const lines = completeText.split('\n');
-    // Last element is '' (due to trailing \n), remove it
-    if (lines[lines.length - 1] === '') lines.pop();
-
-    for (const line of lines) {
-      this._processLine(line);
-    }
+    if (this.speculative) this._drawSpeculative();
+    return !this._needDrain;
   }
 
   /**
    * Signal end of stream. Flushes any buffered content.
+   * @returns {Promise<void>} settles once the output has flushed it all
    */
   end() {
-    // Flush any remaining content in lineBuffer
-    if (this._lineBuffer.trim()) {
-      this._processLine(this._lineBuffer);
-      this._lineBuffer = '';
-    }
+    if (this._ended) return Promise.resolve();
+    // The text after the last newline is a line of its own, even if empty —
+    // just as `render()` splits the document
+    this._flush(this._lineBuffer, true);
+    return this._finish('finish');
+  }
 
-    // Flush any open block
-    this._flushBlock(true);
+  /**
+   * Stop a stream that was cut short: draw what has arrived as it stands,
+   * close any open code frame and add an "interrupted" marker. The blocks
+   * drawn here are not reported as 'block' / 'codeblock' events.
+   *
+   * @param {*} [reason] - shown in the marker: a string, or an Error's message
+   *                       (an AbortError's is left out)
+   * @returns {Promise<void>} settles once the output has flushed it all
+   */
+  abort(reason) {
+    if (this._ended) return Promise.resolve();
+    this._flush(this._lineBuffer || null, false);
 
-    if (this.newline) this.output.write('\n');
+    const text = describe(reason);
+    const marker = this.renderer.interrupted?.(text) ?? `[interrupted${text ? ': ' + text : ''}]`;
+    this._write((this._started ? '\n' : '') + marker);
+    this._started = true;
+    return this._finish('abort', reason);
+  }
+
+  /**
+   * Start over for the next message. Anything not yet written is dropped —
+   * call end() or abort() first to keep it.
+   */
+  reset() {
+    this._clearSpeculative();
+    this._out(this._openLine);
+    if (this._ended && this._onResize) this.output.on('resize', this._onResize);
+    this.renderer = this._createRenderer();
+    this._init();
   }
 
   // ── Internal ─────────────────────────────────────────────────────────────
 
+  /**
+   * Draw everything still buffered, after feeding `line` (null for none).
+   * @param {string|null} line
+   * @param {boolean} complete - false when cut short: nothing is announced
+   */
+  _flush(line, complete) {
+    if (line !== null) this._processLine(line);
+    this._lineBuffer = '';
+
+    const rest = this._parser.end();
+    if (this._codeBody) this._closeCodeBlock(rest.shift(), complete);
+    this._writeBlocks(rest, complete);
+  }
+
+  /** Write the held-back line and the final newline, then settle once flushed */
+  _finish(event, ...args) {
+    this._clearSpeculative();
+    this._out(this._openLine + (this.newline ? '\n' : ''));
+    this._openLine = '';
+    this._ended = true;
+
+    if (this._onResize) this.output.off('resize', this._onResize);
+    return this._flushed().then(() => { this.emit(event, ...args); });
+  }
+
   _processLine(line) {
-    switch (this._state) {
-
-      // ── Inside a code block ──────────────────────────────────────────────
-      case STATE.CODE_BLOCK: {
-        if (line.startsWith('```')) {
-          // Closing fence — render the whole block
-          this._blockBuf.push(line);
-          const code = this._blockBuf.join('\n');
-          this._emit(this.renderer.render(code));
-          this._blockBuf = [];
-          this._state = STATE.NORMAL;
-        } else {
-          this._blockBuf.push(line);
-        }
-        break;
-      }
-
-      // ── Inside a table ───────────────────────────────────────────────────
-      case STATE.TABLE: {
-        if (line.includes('|')) {
-          this._blockBuf.push(line);
-        } else {
-          // Table ended
-          this._flushBlock();
-          this._state = STATE.NORMAL;
-          this._processLine(line); // re-process the non-table line
-        }
-        break;
-      }
-
-      // ── Inside a blockquote ──────────────────────────────────────────────
-      case STATE.BLOCKQUOTE: {
-        if (line.startsWith('> ')) {
-          this._blockBuf.push(line);
-        } else {
-          this._flushBlock();
-          this._state = STATE.NORMAL;
-          this._processLine(line);
-        }
-        break;
-      }
-
-      // ── Normal state ─────────────────────────────────────────────────────
-      case STATE.NORMAL: {
-        // Opening code fence
-        if (line.startsWith('```')) {
-          this._flushBlock();
-          this._state    = STATE.CODE_BLOCK;
-          this._codeLang = line.slice(3).trim();
-          this._blockBuf = [line];
-          break;
-        }
-
-        // Table start
-        if (line.includes('|')) {
-          this._state    = STATE.TABLE;
-          this._blockBuf = [line];
-          break;
-        }
-
-        // Blockquote
-        if (line.startsWith('> ')) {
-          this._state    = STATE.BLOCKQUOTE;
-          this._blockBuf = [line];
-          break;
-        }
-
-        // Empty line — flush any accumulated paragraph
-        if (line.trim() === '') {
-          this._flushBlock();
-          this.output.write('\n');
-          break;
-        }
-
-        // Heading — immediate render
-        if (/^#{1,6}\s/.test(line)) {
-          this._flushBlock();
-          this._emit(this.renderer.render(line));
-          break;
-        }
-
-        // HR — immediate render
-        if (/^([-*_]){3,}\s*$/.test(line)) {
-          this._flushBlock();
-          this._emit(this.renderer.render(line));
-          break;
-        }
-
-        // List items — buffer by paragraph (for nested lists to work)
-        if (/^(\s*)[*\-+]\s/.test(line) || /^\d+\.\s/.test(line)) {
-          this._blockBuf.push(line);
-          break;
-        }
-
-        // Regular text / paragraph — accumulate and render line-by-line
-        // (safe to render inline immediately since we have the full line)
-        this._flushBlock();
-        this._emit(this.renderer.render(line) + '\n');
-        break;
-      }
+    // Inside a progressive code block, lines are drawn as they come
+    if (this._codeBody) {
+      const [closed] = this._parser.push([line]);
+      if (closed) return this._closeCodeBlock(closed);
+      this._codeInput++;
+      this._writeCodeLines(this._codeBody.push(fenceContent(line, this._codeFence)));
+      return;
+    }
+
+    this._writeBlocks(this._parser.push([line]));
+
+    // A top-level fence just opened — draw the frame now
+    const fence = this._parser.openFence;
+    if (fence && this.progressiveCode && this._parser.pending.length === 1) {
+      this._codeFence = fence;
+      this._codeBody  = this.renderer.codeBlockBody(fence.lang);
+      this._codeInput = 0;
+      this._codeText  = [this.renderer.codeBlockHeader(fence.lang)];
+      this._write((this._started ? '\n' : '') + this._codeText[0] + '\n');
+      this._started = true;
     }
   }
 
-  _flushBlock(force = false) {
-    if (!this._blockBuf.length) return;
+  /** Settled blocks, joined the way `render()` joins them */
+  _writeBlocks(blocks, announce = true) {
+    for (const block of blocks) {
+      const text = this.renderer.renderDocument({ type: 'document', children: [block] });
+      this._write((this._started ? '\n' : '') + text);
+      this._started = true;
+      if (announce) this._announce(block, text);
+    }
+  }
+
+  _writeCodeLines(lines) {
+    for (const line of lines) this._write(line + '\n');
+    this._codeText.push(...lines);
+  }
 
-    // Don't flush an open code block unless forced (stream ended)
-    if (this._state === STATE.CODE_BLOCK && !force) return;
+  /**
+   * Finish a progressive code block, byte for byte as `render()` draws it.
+   * @param {object} block - the code block, as the parser settled it
+   * @param {boolean} [announce] - false when the block was cut short
+   */
+  _closeCodeBlock(block, announce = true) {
+    // A block with no lines renders one empty line, as its content is ''
+    if (!this._codeInput) this._writeCodeLines(this._codeBody.push(''));
+    this._writeCodeLines(this._codeBody.end());
+    const [header, ...lines] = this._codeText;
+    if (!lines.length) this._write('\n');
+    const footer = this.renderer.codeBlockFooter();
+    this._write(footer);
 
-    const md = this._blockBuf.join('\n');
-    this._emit(this.renderer.render(md));
-    this._blockBuf = [];
+    this._codeBody  = null;
+    this._codeFence = null;
+    this._codeText  = [];
+    this._onResize?.();
+    if (announce) this._announce(block, header + '\n' + lines.join('\n') + '\n' + footer);
+  }
 
-    if (force) this._state = STATE.NORMAL;
+  /** Tell listeners a block has been written */
+  _announce(node, text) {
+    if (node.type === 'empty') return;
+    this.emit('block', { type: node.type, text, node });
+    if (node.type === 'code') this.emit('codeblock', { lang: node.lang, code: node.content, text });
   }
 
-  _emit(text) {
-    if (text && text.trim()) {
-      this.output.write(text.trim() + '\n');
+  /**
+   * Write settled output. When drawing tentatively, its last, unterminated
+   * line is held back so that the tentative tail can be drawn after it from
+   * the start of a row, and erased again without touching anything settled.
+   */
+  _write(text) {
+    this._clearSpeculative();
+    if (!this.speculative) return this._out(text);
+    const all = this._openLine + text;
+    const cut = all.lastIndexOf('\n') + 1;
+    if (cut) this._out(all.slice(0, cut));
+    this._openLine = all.slice(cut);
+  }
+
+  /**
+   * Write to the output, noting when it pushes back. Outputs without
+   * events (plain `{ write }` sinks) can't signal 'drain', so they are
+   * never waited on.
+   */
+  _out(text) {
+    if (!text) return;
+    if (this.output.write(text) === false && !this._needDrain && typeof this.output.once === 'function') {
+      this._needDrain = true;
+      this.output.once('drain', () => {
+        this._needDrain = false;
+        this.emit('drain');
+      });
     }
   }
+
+  /** Resolves once a Node.js output has handed everything written to the system */
+  _flushed() {
+    const out = this.output;
+    if (typeof out.writableLength !== 'number' || out.writableLength === 0) return Promise.resolve();
+    return new Promise((resolve, reject) => out.write('', (err) => err ? reject(err) : resolve()));
+  }
+
+  /**
+   * A partial line is only drawn once it can no longer turn into a block
+   * construct (fence, heading, list item, table row, quote, HR) — until
+   * then only the complete lines before it are.
+   */
+  _canSpeculate(partial) {
+    if (!partial || /^\s/.test(partial)) return false;
+    if (/^(#|>|```|~~~)/.test(partial) || /^(`{1,2}|~{1,2})$/.test(partial)) return false;
+    if (partial.includes('|')) return false;
+    if (/^\d*$/.test(partial) || /^\d+[.)]/.test(partial)) return false;
+    if (/^[-*_\s]*$/.test(partial) || /^[-*+]\s/.test(partial)) return false;
+    return true;
+  }
+
+  /**
+   * Draw the unsettled tail (pending lines and the partial line) tentatively.
+   * Rows that scroll off the top can't be erased again, so a tail taller than
+   * the screen is drawn from its last screenful.
+   */
+  _drawSpeculative() {
+    if (this._codeBody) return;
+
+    const maxRows = (this.output.rows || 24) - 1;
+    const lines = [...this._parser.pending];
+    if (this._canSpeculate(this._lineBuffer)) lines.push(closeInline(this._lineBuffer));
+    const source = tailOf(lines, maxRows).join('\n');
+    if (source === this._specText) return;
+
+    const tail = source.trim()
+      ? (this._started ? '\n' : '') + this.renderer.render(source, { preview: true })
+      : '';
+    const rendered = this._openLine + tail;
+    const cols = this.output.columns || 80;
+    const rows = rendered.split('\n')
+      .flatMap(line => visibleWidth(line) > cols ? splitAnsi(line, cols) : [line])
+      .slice(-maxRows);
+
+    this._clearSpeculative();
+    if (!rendered) return;
+    this._out(rows.join('\n'));
+    this._specRows = rows.length;
+    this._specText = source;
+  }
+
+  /** Erase the tentative tail (including any rows it wrapped onto) */
+  _clearSpeculative() {
+    if (this._specText === null) return;
+    this._out('\r\x1b[2K' + '\x1b[1A\x1b[2K'.repeat(this._specRows - 1));
+    this._specRows = 0;
+    this._specText = null;
+  }
+}
+
+/** The text an abort reason is shown as in the marker */
+function describe(reason) {
+  if (reason == null || reason.name === 'AbortError') return '';
+  return String(reason instanceof Error ? reason.message : reason);
 }
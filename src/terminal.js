@@ -0,0 +1,147 @@
+// ─── Inkdown Terminal ─────────────────────────────────────────────────────────
+// What the terminal on the other end of an output stream can do, judged from
+// the stream and the environment the way most CLI tools do it.
+
+/**
+ * Whether OSC 8 hyperlinks will show as links rather than stray text.
+ * `FORCE_HYPERLINK=1` / `=0` overrides the guess.
+ *
+ * @param {NodeJS.WriteStream} [stream]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {boolean}
+ */
+export function supportsHyperlinks(stream = process.stdout, env = process.env) {
+  if (env.FORCE_HYPERLINK !== undefined) return env.FORCE_HYPERLINK !== '0';
+  if (!stream?.isTTY || env.CI) return false;
+
+  if (env.WT_SESSION || env.KITTY_WINDOW_ID || env.KONSOLE_VERSION || env.DOMTERM) return true;
+  if (Number(env.VTE_VERSION) >= 5000) return true;
+
+  switch (env.TERM_PROGRAM) {
+    case 'iTerm.app': {
+      const [major, minor] = (env.TERM_PROGRAM_VERSION ?? '').split('.').map(Number);
+      return major > 3 || (major === 3 && minor >= 1);
+    }
+    case 'WezTerm':
+    case 'vscode':
+    case 'ghostty':
+    case 'Hyper':
+      return true;
+  }
+
+  return ['xterm-kitty', 'xterm-ghostty', 'alacritty', 'foot', 'wezterm'].includes(env.TERM);
+}
+
+/**
+ * How many colours the terminal behind `stream` shows, as a chalk level:
+ * 0 none, 1 the basic 16, 2 the 256-colour palette, 3 truecolor.
+ * `FORCE_COLOR=0…3` forces a level and `NO_COLOR` turns colour off.
+ *
+ * @param {NodeJS.WriteStream} [stream]
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {0|1|2|3}
+ */
+export function colorLevel(stream = process.stdout, env = process.env) {
+  if (env.FORCE_COLOR !== undefined) {
+    if (env.FORCE_COLOR === '0' || env.FORCE_COLOR === 'false') return 0;
+    return Math.min(3, Math.max(1, Number(env.FORCE_COLOR) || 1));
+  }
+  if (env.NO_COLOR) return 0;
+  if (!stream?.isTTY || env.TERM === 'dumb') return 0;
+
+  if (typeof stream.getColorDepth === 'function') {
+    return { 1: 0, 4: 1, 8: 2, 24: 3 }[stream.getColorDepth(env)] ?? 1;
+  }
+  if (env.COLORTERM === 'truecolor' || env.COLORTERM === '24bit') return 3;
+  if (/-256(colou?r)?$/.test(env.TERM ?? '')) return 2;
+  return 1;
+}
+
+// ── Background colour ─────────────────────────────────────────────────────────
+// `theme: 'auto'` needs to know whether the terminal is light or dark. The
+// terminal is asked with an OSC 11 query, which has to wait for a reply on
+// stdin, so it runs once up front (`detectBackground()`) and the answer is
+// kept; until then, and when the terminal doesn't answer, rxvt's COLORFGBG
+// is the fallback.
+
+const OSC11_RE = /\x1b\]11;rgb:([0-9a-f]{1,4})\/([0-9a-f]{1,4})\/([0-9a-f]{1,4})/i;
+
+let detected = null;   // 'light' | 'dark' once detectBackground() has an answer
+
+/**
+ * Ask the terminal for its background colour (OSC 11). Resolves to
+ * `{ r, g, b }` in 0…1, or null if there is no terminal to ask or it doesn't
+ * reply within `timeout` ms. A reply that arrives later (a slow link) is
+ * still read, and dropped, for another `grace` ms rather than echoed.
+ *
+ * @param {{ input?: NodeJS.ReadStream, output?: NodeJS.WriteStream, timeout?: number, grace?: number }} [opts]
+ * @returns {Promise<{ r: number, g: number, b: number } | null>}
+ */
+export function queryBackground({ input = process.stdin, output = process.stdout, timeout = 100, grace = 500 } = {}) {
+  if (!input?.isTTY || !output?.isTTY || typeof input.setRawMode !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    const wasRaw     = input.isRaw;
+    const wasFlowing = input.readableFlowing;   // null on a stdin nobody has read yet
+    let reply = '';
+
+    // Leave the input as it was: a stdin left flowing keeps the process alive
+    const restore = () => {
+      clearTimeout(timer);
+      input.off('data', onData);
+      input.setRawMode(wasRaw);
+      if (wasFlowing !== true) input.pause();
+    };
+    const onData = (data) => {
+      reply += data;
+      const m = reply.match(OSC11_RE);
+      if (m) {
+        restore();
+        const [r, g, b] = m.slice(1).map(hex => parseInt(hex, 16) / (16 ** hex.length - 1));
+        resolve({ r, g, b });   // too late if the timeout has passed
+      }
+    };
+    // Past the timeout, stay raw a little longer so a late reply isn't echoed
+    let timer = setTimeout(() => {
+      resolve(null);
+      timer = setTimeout(restore, grace);
+    }, timeout);
+
+    input.setRawMode(true);
+    input.on('data', onData);
+    input.resume();
+    output.write('\x1b]11;?\x1b\\');
+  });
+}
+
+/**
+ * Work out whether the terminal background is light or dark and remember it
+ * for `theme: 'auto'`. Asks the terminal first, then falls back to COLORFGBG.
+ *
+ * @param {{ input?: NodeJS.ReadStream, output?: NodeJS.WriteStream, timeout?: number, env?: NodeJS.ProcessEnv }} [opts]
+ * @returns {Promise<'light'|'dark'|null>}
+ */
+export async function detectBackground({ env = process.env, ...opts } = {}) {
+  const rgb = await queryBackground(opts);
+  if (rgb) detected = 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b > 0.5 ? 'light' : 'dark';
+  return detected ?? backgroundFromEnv(env);
+}
+
+/**
+ * The background as last detected, else as COLORFGBG describes it
+ * (`fg;bg` in terminal colour numbers), else null.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {'light'|'dark'|null}
+ */
+export function background(env = process.env) {
+  return detected ?? backgroundFromEnv(env);
+}
+
+function backgroundFromEnv(env) {
+  const bg = Number(env.COLORFGBG?.split(';').pop());
+  if (!env.COLORFGBG || Number.isNaN(bg)) return null;
+  return bg === 7 || bg === 15 ? 'light' : 'dark';
+}
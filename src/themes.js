@@ -1,6 +1,15 @@
 // ─── Inkdown Themes ───────────────────────────────────────────────────────────
 // Each theme defines colors for every markdown element.
-// Colors are chalk-compatible: hex strings or named chalk methods.
+// Colors are chalk-compatible: hex strings or named chalk methods. Hex
+// colours are downsampled on 256-colour terminals; on 16-colour ones the
+// theme's `ansi16` palette picks the replacement.
+//
+// Custom themes extend a built-in with `defineTheme()` and are checked
+// against the `dark` theme's shape before use; styles added since 1.0.3 are
+// filled in from `dark` when a theme leaves them out.
+
+import { readFileSync } from 'node:fs';
+import { background } from './terminal.js';
 
 export const themes = {
   /**
@@ -30,15 +39,30 @@ export const themes = {
 
     // Structure
     blockquote:    { color: '#546E7A', border: '#C792EA' },
+    alertNote:     { color: '#82AAFF' },
+    alertTip:      { color: '#C3E88D' },
+    alertImportant: { color: '#C792EA' },
+    alertWarning:  { color: '#FFCB6B' },
+    alertCaution:  { color: '#FF5370' },
     hr:            { color: '#333333' },
     bullet:        { color: '#C792EA' },
+    taskOpen:      { color: '#546E7A' },
+    taskDone:      { color: '#C3E88D' },
     number:        { color: '#82AAFF' },
 
     // Tables
     tableHeader:   { color: '#FFFFFF', bold: true },
     tableBorder:   { color: '#333333' },
     tableCell:     { color: '#D4D4D4' },
-    tableAlt:      { color: '#1E1E2E' },        // alt row bg hint
+    tableAlt:      { color: '#1E1E2E' },        // alternate row background
+
+    // Diffs
+    diffAdded:     { color: '#C3E88D', bg: '#1E3A2B' },
+    diffAddedWord: { bg: '#2E6B45' },
+    diffRemoved:   { color: '#FF5370', bg: '#3F1E26' },
+    diffRemovedWord: { bg: '#7A2E3C' },
+    diffHunk:      { color: '#82AAFF' },
+    diffHeader:    { color: '#FFFFFF', bold: true },
 
     // Code syntax (basic token coloring)
     syntax: {
@@ -52,6 +76,16 @@ export const themes = {
       tag:       '#F07178',
       attribute: '#FFCB6B',
     },
+
+    // 16-colour terminals: hex → chalk colour name (null: no colour)
+    ansi16: {
+      '#C792EA': 'magentaBright', '#82AAFF': 'blueBright',   '#89DDFF': 'cyanBright',
+      '#C3E88D': 'greenBright',   '#FFCB6B': 'yellowBright', '#F78C6C': 'yellow',
+      '#FF5370': 'redBright',     '#F07178': 'red',          '#FFFFFF': 'whiteBright',
+      '#D4D4D4': 'white',         '#546E7A': 'gray',         '#666666': 'gray',
+      '#333333': 'gray',          '#2E6B45': 'green',        '#7A2E3C': 'red',
+      '#1E1E1E': null, '#1A1A2E': null, '#1E1E2E': null, '#1E3A2B': null, '#3F1E26': null,
+    },
   },
 
   /**
@@ -77,8 +111,15 @@ export const themes = {
     codeLang:      { color: '#6272A4' },
 
     blockquote:    { color: '#6272A4', border: '#FF79C6' },
+    alertNote:     { color: '#8BE9FD' },
+    alertTip:      { color: '#50FA7B' },
+    alertImportant: { color: '#BD93F9' },
+    alertWarning:  { color: '#F1FA8C' },
+    alertCaution:  { color: '#FF5555' },
     hr:            { color: '#44475A' },
     bullet:        { color: '#FF79C6' },
+    taskOpen:      { color: '#6272A4' },
+    taskDone:      { color: '#50FA7B' },
     number:        { color: '#BD93F9' },
 
     tableHeader:   { color: '#FFFFFF', bold: true },
@@ -86,6 +127,14 @@ export const themes = {
     tableCell:     { color: '#F8F8F2' },
     tableAlt:      { color: '#282A36' },
 
+    // Diffs
+    diffAdded:     { color: '#50FA7B', bg: '#1F3A2A' },
+    diffAddedWord: { bg: '#2F6B45' },
+    diffRemoved:   { color: '#FF5555', bg: '#45232B' },
+    diffRemovedWord: { bg: '#7D3340' },
+    diffHunk:      { color: '#BD93F9' },
+    diffHeader:    { color: '#F8F8F2', bold: true },
+
     syntax: {
       keyword:     '#FF79C6',
       string:      '#F1FA8C',
@@ -97,6 +146,16 @@ export const themes = {
       tag:         '#FF5555',
       attribute:   '#FFB86C',
     },
+
+    // 16-colour terminals: hex → chalk colour name (null: no colour)
+    ansi16: {
+      '#FF79C6': 'magentaBright', '#BD93F9': 'magenta',      '#8BE9FD': 'cyanBright',
+      '#50FA7B': 'greenBright',   '#F1FA8C': 'yellowBright', '#FFB86C': 'yellow',
+      '#FF5555': 'redBright',     '#FFFFFF': 'whiteBright',  '#F8F8F2': 'white',
+      '#6272A4': 'gray',          '#44475A': 'gray',         '#2F6B45': 'green',
+      '#7D3340': 'red',
+      '#282A36': null, '#21222C': null, '#1F3A2A': null, '#45232B': null,
+    },
   },
 
   /**
@@ -122,8 +181,15 @@ export const themes = {
     codeLang:      { color: '#4C566A' },
 
     blockquote:    { color: '#4C566A', border: '#88C0D0' },
+    alertNote:     { color: '#81A1C1' },
+    alertTip:      { color: '#A3BE8C' },
+    alertImportant: { color: '#B48EAD' },
+    alertWarning:  { color: '#EBCB8B' },
+    alertCaution:  { color: '#BF616A' },
     hr:            { color: '#3B4252' },
     bullet:        { color: '#88C0D0' },
+    taskOpen:      { color: '#4C566A' },
+    taskDone:      { color: '#A3BE8C' },
     number:        { color: '#81A1C1' },
 
     tableHeader:   { color: '#ECEFF4', bold: true },
@@ -131,6 +197,14 @@ export const themes = {
     tableCell:     { color: '#D8DEE9' },
     tableAlt:      { color: '#2E3440' },
 
+    // Diffs
+    diffAdded:     { color: '#A3BE8C', bg: '#2E3B33' },
+    diffAddedWord: { bg: '#4A6B52' },
+    diffRemoved:   { color: '#BF616A', bg: '#3E2C32' },
+    diffRemovedWord: { bg: '#6E3F47' },
+    diffHunk:      { color: '#88C0D0' },
+    diffHeader:    { color: '#ECEFF4', bold: true },
+
     syntax: {
       keyword:     '#81A1C1',
       string:      '#A3BE8C',
@@ -142,6 +216,16 @@ export const themes = {
       tag:         '#BF616A',
       attribute:   '#EBCB8B',
     },
+
+    // 16-colour terminals: hex → chalk colour name (null: no colour)
+    ansi16: {
+      '#88C0D0': 'cyan',          '#81A1C1': 'blue',         '#5E81AC': 'blue',
+      '#A3BE8C': 'green',         '#EBCB8B': 'yellow',       '#BF616A': 'red',
+      '#B48EAD': 'magenta',       '#ECEFF4': 'whiteBright',  '#D8DEE9': 'white',
+      '#4C566A': 'gray',          '#3B4252': 'gray',         '#4A6B52': 'green',
+      '#6E3F47': 'red',
+      '#2E3440': null, '#242933': null, '#2E3B33': null, '#3E2C32': null,
+    },
   },
 
   /**
@@ -167,8 +251,15 @@ export const themes = {
     codeLang:      { color: '#9CA3AF' },
 
     blockquote:    { color: '#6B7280', border: '#7C3AED' },
+    alertNote:     { color: '#2563EB' },
+    alertTip:      { color: '#059669' },
+    alertImportant: { color: '#7C3AED' },
+    alertWarning:  { color: '#D97706' },
+    alertCaution:  { color: '#DC2626' },
     hr:            { color: '#E5E7EB' },
     bullet:        { color: '#7C3AED' },
+    taskOpen:      { color: '#9CA3AF' },
+    taskDone:      { color: '#059669' },
     number:        { color: '#2563EB' },
 
     tableHeader:   { color: '#111827', bold: true },
@@ -176,6 +267,14 @@ export const themes = {
     tableCell:     { color: '#1F2937' },
     tableAlt:      { color: '#F9FAFB' },
 
+    // Diffs
+    diffAdded:     { color: '#116329', bg: '#E6FFEC' },
+    diffAddedWord: { bg: '#ACEEBB' },
+    diffRemoved:   { color: '#82071E', bg: '#FFEBE9' },
+    diffRemovedWord: { bg: '#FFC1BA' },
+    diffHunk:      { color: '#0550AE' },
+    diffHeader:    { color: '#1F2328', bold: true },
+
     syntax: {
       keyword:     '#7C3AED',
       string:      '#16A34A',
@@ -187,9 +286,226 @@ export const themes = {
       tag:         '#DC2626',
       attribute:   '#D97706',
     },
+
+    // 16-colour terminals: hex → chalk colour name (null: no colour)
+    ansi16: {
+      '#7C3AED': 'magenta',       '#2563EB': 'blue',         '#0550AE': 'blue',
+      '#0891B2': 'cyan',          '#16A34A': 'green',        '#059669': 'green',
+      '#116329': 'green',         '#D97706': 'yellow',       '#DC2626': 'red',
+      '#82071E': 'red',           '#111827': 'black',        '#1F2937': 'black',
+      '#1F2328': 'black',         '#6B7280': 'gray',         '#9CA3AF': 'gray',
+      '#E5E7EB': 'gray',          '#ACEEBB': 'greenBright',  '#FFC1BA': 'redBright',
+      '#F9FAFB': null, '#F3F4F6': null, '#E6FFEC': null, '#FFEBE9': null,
+    },
   },
 };
 
+// ── Lookup ───────────────────────────────────────────────────────────────────
+
+/**
+ * A registered theme by name.
+ * @param {string} name
+ * @returns {object}
+ */
 export function getTheme(name) {
-  return themes[name] || themes.dark;
+  if (!Object.hasOwn(themes, name)) {
+    throw new Error(`Unknown theme "${name}" (expected one of: ${Object.keys(themes).join(', ')})`);
+  }
+  return themes[name];
+}
+
+/**
+ * The theme a `theme` option names: a registered name, a path to a `.json`
+ * theme file, a theme object (validated once, then trusted), or 'auto' for
+ * whichever of `auto.light` / `auto.dark` suits the terminal background —
+ * as `detectBackground()` last found it, else as COLORFGBG says, else dark.
+ * @param {string|object} theme
+ * @param {{ light?: string|object, dark?: string|object }} [auto]
+ * @returns {object}
+ */
+export function resolveTheme(theme, auto = {}) {
+  if (theme === 'auto') {
+    const { light = 'light', dark = 'dark' } = auto;
+    return resolveTheme(background() === 'light' ? light : dark);
+  }
+  if (typeof theme === 'string') {
+    if (/\.ya?ml$/i.test(theme)) throw new Error(`Cannot load theme from ${theme}: YAML themes aren't supported, use JSON`);
+    return /\.json$/i.test(theme) ? loadTheme(theme) : getTheme(theme);
+  }
+  if (!checked.has(theme)) checked.set(theme, completeTheme(theme));
+  return checked.get(theme);
+}
+
+// ── Custom themes ────────────────────────────────────────────────────────────
+
+/**
+ * Build a theme from a partial one: `extends` names (or is) the theme to
+ * start from, and every other key is merged over it, nested objects such as
+ * `syntax` key by key. Without `extends` the theme must be complete.
+ *
+ * @example
+ * defineTheme({ extends: 'nord', h1: { color: '#FF8800', bold: true }, syntax: { string: '#A3BE8C' } })
+ *
+ * @param {{ extends?: string|object, [key: string]: any }} spec
+ * @returns {object}
+ */
+export function defineTheme({ extends: base, ...overrides }) {
+  const theme = completeTheme(base === undefined ? overrides : merge(resolveTheme(base), overrides));
+  checked.set(theme, theme);
+  return theme;
+}
+
+/**
+ * Add a theme under `name`, so `theme: name` can select it. Partial themes
+ * go through `defineTheme()` first.
+ * @param {string} name
+ * @param {object} spec
+ * @returns {object} the registered theme
+ */
+export function registerTheme(name, spec) {
+  return themes[name] = defineTheme(spec);
+}
+
+/**
+ * Read a theme from a JSON file — the same shape `defineTheme()` takes,
+ * `extends` included. (YAML isn't supported.)
+ * @param {string} path
+ * @returns {object}
+ */
+export function loadTheme(path) {
+  let spec;
+  try {
+    spec = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load theme from ${path}: ${err.message}`);
+  }
+  try {
+    return defineTheme(spec);
+  } catch (err) {
+    throw new Error(`${path}: ${err.message}`);
+  }
+}
+
+function merge(base, overrides) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    out[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return out;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+const checked = new WeakMap();   // theme object → validated and completed copy
+
+// Styles added since 1.0.3. A theme written before them still works: the
+// `dark` theme's are used where it leaves them out.
+const ADDED_STYLES = [
+  'alertNote', 'alertTip', 'alertImportant', 'alertWarning', 'alertCaution',
+  'taskOpen', 'taskDone',
+  'diffAdded', 'diffAddedWord', 'diffRemoved', 'diffRemovedWord', 'diffHunk', 'diffHeader',
+];
+
+const HEX_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const COLOR_NAMES = new Set([
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white', 'gray', 'grey',
+  'blackBright', 'redBright', 'greenBright', 'yellowBright', 'blueBright',
+  'magentaBright', 'cyanBright', 'whiteBright',
+]);
+const COLOR_PROPS = ['color', 'bg', 'border'];
+const FLAG_PROPS  = ['bold', 'italic', 'underline', 'strikethrough'];
+
+function isColor(value) {
+  return typeof value === 'string' && (HEX_RE.test(value) || COLOR_NAMES.has(value));
+}
+
+/**
+ * Check a theme has every element style the renderers read (bar those
+ * added since 1.0.3, which may be left out), with colours they can use;
+ * throws one error listing every problem found. The theme isn't changed.
+ * @param {object} theme
+ */
+export function validateTheme(theme) {
+  const problems = [];
+  if (!isObject(theme)) throw new Error('Invalid theme: expected an object');
+
+  // The dark theme is the reference: every style it has, with the colours it sets
+  for (const [key, reference] of Object.entries(themes.dark)) {
+    if (key === 'syntax' || key === 'ansi16') continue;
+    const style = theme[key];
+    if (style === undefined) {
+      if (!ADDED_STYLES.includes(key)) problems.push(`missing "${key}"`);
+      continue;
+    }
+    if (!isObject(style)) {
+      problems.push(`"${key}" must be an object like { color: '#RRGGBB' }`);
+      continue;
+    }
+    for (const prop of COLOR_PROPS) {
+      if (style[prop] === undefined) {
+        if (reference[prop] !== undefined) problems.push(`missing "${key}.${prop}"`);
+      } else if (!isColor(style[prop])) {
+        problems.push(`"${key}.${prop}" is not a colour: ${JSON.stringify(style[prop])}`);
+      }
+    }
+    for (const prop of FLAG_PROPS) {
+      if (style[prop] !== undefined && typeof style[prop] !== 'boolean') {
+        problems.push(`"${key}.${prop}" must be true or false`);
+      }
+    }
+  }
+
+  if (!isObject(theme.syntax)) {
+    problems.push(theme.syntax === undefined ? 'missing "syntax"' : '"syntax" must be an object of token colours');
+  } else {
+    for (const [type, color] of Object.entries(theme.syntax)) {
+      if (!isColor(color)) problems.push(`"syntax.${type}" is not a colour: ${JSON.stringify(color)}`);
+    }
+  }
+
+  if (theme.ansi16 !== undefined) {
+    if (!isObject(theme.ansi16)) {
+      problems.push('"ansi16" must map hex colours to colour names');
+    } else {
+      for (const [hex, name] of Object.entries(theme.ansi16)) {
+        if (!HEX_RE.test(hex)) problems.push(`"ansi16" key ${JSON.stringify(hex)} is not a hex colour`);
+        if (name !== null && !COLOR_NAMES.has(name)) problems.push(`"ansi16.${hex}" is not a colour name: ${JSON.stringify(name)}`);
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid theme:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * A validated theme as the renderers use it: a copy with the newer styles
+ * filled in and the `ansi16` palette keyed the way paint() looks colours up.
+ * @param {object} theme
+ * @returns {object}
+ */
+function completeTheme(theme) {
+  validateTheme(theme);
+  const out = { ...theme };
+  for (const key of ADDED_STYLES) out[key] ??= themes.dark[key];
+  if (theme.ansi16) {
+    out.ansi16 = Object.fromEntries(Object.entries(theme.ansi16).map(([hex, name]) => [paletteKey(hex), name]));
+  }
+  return out;
+}
+
+/**
+ * The key a colour has in an `ansi16` palette: uppercase six-digit hex, so
+ * '#f80', '#ff8800' and '#FF8800' all find the same entry.
+ * @param {string} color
+ * @returns {string}
+ */
+export function paletteKey(color) {
+  const hex = color.toUpperCase();
+  return /^#[0-9A-F]{3}$/.test(hex) ? '#' + [...hex.slice(1)].map(d => d + d).join('') : hex;
 }
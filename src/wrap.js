@@ -0,0 +1,179 @@
+// ─── Inkdown Wrap ─────────────────────────────────────────────────────────────
+// ANSI-aware word wrapping. Widths are measured with string-width, so escape
+// sequences count as zero columns and wide (CJK/emoji) characters as two.
+// Styles open at a line break are closed at the end of that line and
+// re-opened at the start of the next, so a prefix added to each wrapped line
+// (a quote border, a list indent) never picks up the text's styling.
+// OSC 8 hyperlinks are carried the same way, so a wrapped link stays
+// clickable on every line it spans.
+
+import stringWidth from 'string-width';
+
+const ANSI_RE = /\x1b\[[0-9;]*m|\x1b\]8;[^;\x07\x1b]*;[^\x07\x1b]*(?:\x07|\x1b\\)/g;
+const LINK_CLOSE = '\x1b]8;;\x1b\\';
+
+// SGR code → the code that switches it off
+function closerOf(code) {
+  const n = parseInt(code, 10);
+  if (n === 1 || n === 2) return 22;
+  if (n === 3) return 23;
+  if (n === 4) return 24;
+  if (n === 7) return 27;
+  if (n === 8) return 28;
+  if (n === 9) return 29;
+  if ((n >= 30 && n <= 38) || (n >= 90 && n <= 97)) return 39;
+  if ((n >= 40 && n <= 48) || (n >= 100 && n <= 107)) return 49;
+  return null;
+}
+
+/** Split text into escape sequences and single characters */
+function segments(text) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(ANSI_RE)) {
+    for (const ch of text.slice(last, m.index)) out.push({ ch });
+    out.push({ ansi: m[0] });
+    last = m.index + m[0].length;
+  }
+  for (const ch of text.slice(last)) out.push({ ch });
+  return out;
+}
+
+/** Track which sequences (SGR styles, a hyperlink) are still open after `seq` */
+function track(active, seq) {
+  if (seq[1] === ']') {
+    const url = seq.replace(/^\x1b\]8;[^;]*;|(?:\x07|\x1b\\)$/g, '');
+    const rest = active.filter(a => a.closer !== 'link');
+    return url ? [...rest, { seq, closer: 'link' }] : rest;
+  }
+  const params = seq.slice(2, -1);
+  const code = params.split(';')[0] || '0';
+  if (code === '0') return active.filter(a => a.closer === 'link');
+  const closer = closerOf(code);
+  if (closer !== null) return [...active.filter(a => a.closer !== closer), { seq, closer }];
+  return active.filter(a => a.closer !== Number(code));
+}
+
+/** Columns one character takes; printable ASCII skips string-width's work */
+function charWidth(ch) {
+  return ch >= ' ' && ch <= '~' ? 1 : stringWidth(ch);
+}
+
+/**
+ * Visible width of styled text, as string-width measures it. Text that is
+ * printable ASCII once its escapes are removed is just counted, which keeps
+ * very long lines (minified code) cheap.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function visibleWidth(text) {
+  const plain = text.replace(ANSI_RE, '');
+  return /^[ -~]*$/.test(plain) ? plain.length : stringWidth(text);
+}
+
+/** Break a word wider than `width` into width-sized pieces (`rest` wide after the first) */
+function hardBreak(word, width, rest = width) {
+  const pieces = [];
+  let cur = '';
+  let curW = 0;
+  for (const seg of segments(word)) {
+    if (seg.ansi) { cur += seg.ansi; continue; }
+    const w = charWidth(seg.ch);
+    if (curW + w > (pieces.length ? rest : width) && curW > 0) {
+      pieces.push(cur);
+      cur = '';
+      curW = 0;
+    }
+    cur += seg.ch;
+    curW += w;
+  }
+  if (cur) pieces.push(cur);
+  return pieces;
+}
+
+/**
+ * Wrap styled text to at most `width` visible columns per line.
+ *
+ * @param {string} text
+ * @param {number} width
+ * @returns {string[]} wrapped lines
+ */
+export function wrapAnsi(text, width) {
+  if (!(width > 0) || !Number.isFinite(width)) return text.split('\n');
+
+  const lines = [];
+  for (const para of text.split('\n')) {
+    let cur = '';
+    let curW = 0;
+
+    for (const word of para.split(' ')) {
+      const w = visibleWidth(word);
+      if (curW > 0 && curW + 1 + w > width) {
+        lines.push(cur);
+        cur = '';
+        curW = 0;
+      } else if (cur !== '') {
+        cur += ' ';
+        curW += 1;
+      }
+
+      if (w > width - curW) {
+        const pieces = hardBreak(word, width);
+        cur += pieces.shift() ?? '';
+        for (const piece of pieces) {
+          lines.push(cur);
+          cur = piece;
+        }
+        curW = visibleWidth(cur);
+      } else {
+        cur += word;
+        curW += w;
+      }
+    }
+    lines.push(cur);
+  }
+
+  return carryStyles(lines);
+}
+
+function carryStyles(lines) {
+  let active = [];
+  return lines.map(line => {
+    const reopen = active.map(a => a.seq).join('');
+    for (const m of line.matchAll(ANSI_RE)) active = track(active, m[0]);
+    const link  = active.some(a => a.closer === 'link');
+    const style = active.some(a => a.closer !== 'link');
+    return reopen + line + (link ? LINK_CLOSE : '') + (style ? '\x1b[0m' : '');
+  });
+}
+
+/**
+ * Cut styled text into pieces of at most `width` visible columns, without
+ * looking for word boundaries (for code, where spaces are significant).
+ *
+ * @param {string} text
+ * @param {number} width
+ * @param {number} [rest] - width of the pieces after the first (default: `width`)
+ * @returns {string[]}
+ */
+export function splitAnsi(text, width, rest = width) {
+  return carryStyles(hardBreak(text, width, rest));
+}
+
+/**
+ * Wrap text and prefix every line: `first` on the first line, `rest` on the
+ * continuation lines (a hanging indent, or a repeated border).
+ *
+ * @param {string} text
+ * @param {number} width - total width including the prefix
+ * @param {string} first
+ * @param {string} [rest] - defaults to spaces as wide as `first`
+ * @returns {string}
+ */
+export function wrapWithPrefix(text, width, first, rest = ' '.repeat(stringWidth(first))) {
+  const inner = Math.max(1, width - stringWidth(first));
+  return wrapAnsi(text, inner)
+    .map((line, n) => (n === 0 ? first : rest) + line)
+    .join('\n');
+}
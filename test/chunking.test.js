@@ -0,0 +1,73 @@
+// Chunk-boundary fuzzing: fences and tables must come out the same however
+// the input is split, including splits inside a fence or a delimiter row.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { render, parse, MarkdownStream } from '../src/index.js';
+
+const LAYOUT = { width: 50, color: 'truecolor', links: 'inline' };
+
+const CASES = {
+  'tilde fence':              '~~~py\nprint("~~~")\n~~~\nafter',
+  'longer fence':             '`````\n```\nstill code\n````\n`````\ntext after',
+  'indented fence':           'intro\n\n  ```js\n  const a = 1;\n      deeper\n  ```\nafter',
+  'fence in a list item':     '- item\n  ```js\n  code()\n  ```\n- next\n\n1. one\n   ~~~\n   x\n   ~~~',
+  'short fence inside ````':  '````md\n```js\ninner\n```\n````\nafter the block',
+  'unclosed fence':           'text\n\n```ts\nlet x: number\n```not a close\n',
+  'pipe in prose':            'use a | b\nmore prose\nand more\n\nnext paragraph',
+  'pipe prose, then a table': 'use a | b\n\n| a | b |\n|---|:-:|\n| 1 | 2 |\nafter | the table\n\nend',
+  'table without delimiter':  'a | b\nc | d\n\ntext',
+};
+
+function stream(chunks, opts) {
+  let out = '';
+  const md = new MarkdownStream({ ...opts, output: { write: (text) => { out += text; return true; } } });
+  for (const c of chunks) md.write(c);
+  md.end();
+  return out;
+}
+
+/** Every way of cutting `text` into two chunks, and into three */
+function* splits(text) {
+  for (let i = 1; i < text.length; i++) {
+    yield [text.slice(0, i), text.slice(i)];
+    for (let j = i + 1; j < text.length; j += 3) yield [text.slice(0, i), text.slice(i, j), text.slice(j)];
+  }
+}
+
+for (const [name, text] of Object.entries(CASES)) {
+  for (const backend of ['ansi', 'html']) {
+    test(`${name} (${backend}): any split gives render()'s output`, () => {
+      const expected = render(text, { ...LAYOUT, backend }) + '\n';
+      for (const progressiveCode of [true, false]) {
+        const opts = { ...LAYOUT, backend, progressiveCode };
+        assert.equal(stream([...text], opts), expected);
+        for (const chunks of splits(text)) assert.equal(stream(chunks, opts), expected, JSON.stringify(chunks));
+      }
+    });
+  }
+}
+
+// The parse the stream has to agree with
+
+const types = (text) => parse(text).children.filter(b => b.type !== 'empty').map(b => b.type);
+
+test('tilde and longer fences close only on a matching fence', () => {
+  assert.deepEqual(parse(CASES['tilde fence']).children[0].content, 'print("~~~")');
+  assert.equal(parse(CASES['longer fence']).children[0].content, '```\nstill code\n````');
+  assert.equal(parse(CASES['short fence inside ````']).children[0].content, '```js\ninner\n```');
+});
+
+test('indented fences keep the code, less the fence indentation', () => {
+  const [, , code] = parse(CASES['indented fence']).children;
+  assert.equal(code.content, 'const a = 1;\n    deeper');
+  const [list] = parse(CASES['fence in a list item']).children;
+  assert.equal(list.items[0].blocks[0].content, 'code()');
+});
+
+test('a pipe in prose starts no table without a delimiter row', () => {
+  assert.deepEqual(types(CASES['pipe in prose']), ['paragraph', 'paragraph']);
+  assert.deepEqual(types(CASES['pipe prose, then a table']), ['paragraph', 'table', 'paragraph']);
+  assert.deepEqual(types(CASES['table without delimiter']), ['paragraph', 'paragraph']);
+  assert.equal(parse(CASES['table without delimiter']).children[0].children[0].value, 'a | b c | d');
+});
@@ -0,0 +1,47 @@
+// Highlighter speed: linear in the input, so large blocks and very long
+// lines stay well within a frame budget.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { render } from '../src/index.js';
+import { highlightLines } from '../src/highlight.js';
+
+const JS = [
+  'const greeting = `Hello, ${user.name} — you have ${count + 1} new ${count === 1 ? "message" : "messages"}`;',
+  '/* a block comment that',
+  '   runs over a few lines, with "quotes" and `ticks` */',
+  'function fib(n) { return n < 2 ? n : fib(n - 1) + fib(n - 2); }',
+  "const path = 'C:\\\\Users\\\\me', re = /[a-z]+/g; // trailing comment",
+  'export class Cache extends Map { get(key) { return super.get(key) ?? null; } }',
+  'const nested = `outer ${`inner ${deep({ a: [1, 2, 3] })}`} done`;',
+  'if (x !== undefined && typeof y === "string") throw new Error(`bad ${x}`);',
+];
+
+function timed(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+test('5,000 lines of JavaScript highlight in well under a second', () => {
+  const code = Array.from({ length: 5000 }, (_, n) => JS[n % JS.length]).join('\n');
+  const { result, ms } = timed(() => highlightLines(code, 'js', (text, type) => type ? `<${type}>${text}</>` : text));
+  assert.equal(result.length, 5000);
+  assert.ok(ms < 500, `took ${Math.round(ms)} ms`);
+});
+
+test('the block comment and template states carry across lines', () => {
+  const lines = highlightLines(JS.join('\n'), 'js', (text, type) => type ? `<${type}>${text}</>` : text);
+  assert.equal(lines[2], '<comment>   runs over a few lines, with "quotes" and `ticks` */</>');
+  assert.match(lines[0], /<string>Hello, <\/><punctuation>\$\{<\/>user/);
+  assert.match(lines[6], /<punctuation>\}<\/><string> done<\/><string>`<\/><punctuation>;<\/>$/);
+});
+
+test('a 20,000-character line renders in a fraction of a second', () => {
+  const line = Array.from({ length: 1100 }, (_, n) => `call(${n}, "s${n}");`).join(' ').slice(0, 20000);
+  for (const codeOverflow of ['wrap', 'truncate']) {
+    const { result, ms } = timed(() => render('```js\n' + line + '\n```', { width: 80, color: 'truecolor', codeOverflow }));
+    assert.ok(ms < 500, `${codeOverflow} took ${Math.round(ms)} ms`);
+    assert.ok(result.split('\n').length > (codeOverflow === 'wrap' ? 250 : 2));
+  }
+});
@@ -0,0 +1,37 @@
+// The html backend's output goes into web pages: nothing in the markdown
+// may turn into markup or script.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { render } from '../src/index.js';
+
+const html = (markdown) => render(markdown, { backend: 'html' });
+
+test('links and images keep safe urls', () => {
+  assert.match(html('[a](https://example.com/x?y=1&z=2)'), /href="https:\/\/example\.com\/x\?y=1&amp;z=2"/);
+  assert.match(html('[a](http://example.com)'), /href="http:\/\/example\.com"/);
+  assert.match(html('[mail](mailto:me@example.com)'), /href="mailto:me@example.com"/);
+  assert.match(html('[rel](../docs/x.md#top) [abs](/x) [frag](#y)'), /href="\.\.\/docs\/x\.md#top".*href="\/x".*href="#y"/);
+  assert.match(html('![pic](img/a.png)'), /<img class="sm-image" src="img\/a\.png" alt="pic">/);
+});
+
+test('links and images with script urls are left as text', () => {
+  for (const url of ['javascript:alert(document.cookie)', 'JavaScript:alert(1)', 'java\tscript:alert(1)',
+    ' javascript:alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>']) {
+    const link = html(`[click](${url})`);
+    assert.doesNotMatch(link, /href|<script/, link);
+    assert.match(link, /click/);
+    const image = html(`![pic](${url})`);
+    assert.doesNotMatch(image, /<img|<script/, image);
+    assert.match(image, /pic/);
+  }
+  assert.equal(html('[click](javascript:alert(1))'), '<p class="sm-text">click</p>');
+  assert.equal(html('![pic](javascript:alert(1))'), '<p class="sm-text">pic</p>');
+});
+
+test('text, code and attributes are escaped', () => {
+  assert.equal(html('<script>alert(1)</script>'), '<p class="sm-text">&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.match(html('`<b>`'), /<code class="sm-inline-code">&lt;b&gt;<\/code>/);
+  assert.match(html('[a](/x "t\\" onmouseover=\\"x")'), /title="t&quot; onmouseover=&quot;x"/);
+  assert.match(html('```html\n<img src=x onerror=alert(1)>\n```'), /&lt;.*img.*&gt;/);
+});
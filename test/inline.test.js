@@ -0,0 +1,103 @@
+// Inline conformance: examples from the CommonMark spec (and GFM for
+// strikethrough), with the inline tree written out as the spec's HTML.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInline } from '../src/parser.js';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const escape = (text) => text.replace(/[&<>"]/g, ch => ESCAPES[ch]);
+const title  = (node) => node.title ? ` title="${escape(node.title)}"` : '';
+
+function html(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'bold':          return `<strong>${html(node.children)}</strong>`;
+      case 'italic':        return `<em>${html(node.children)}</em>`;
+      case 'strikethrough': return `<del>${html(node.children)}</del>`;
+      case 'inlineCode':    return `<code>${escape(node.value)}</code>`;
+      case 'link':          return `<a href="${escape(node.url)}"${title(node)}>${html(node.children)}</a>`;
+      case 'image':         return `<img src="${escape(node.url)}" alt="${escape(node.alt)}"${title(node)} />`;
+      default:              return escape(node.value);
+    }
+  }).join('');
+}
+
+const EXAMPLES = {
+  emphasis: [
+    ['*foo bar*',                   '<em>foo bar</em>'],
+    ['a * foo bar*',                'a * foo bar*'],
+    ['foo*bar*',                    'foo<em>bar</em>'],
+    ['5*6*78',                      '5<em>6</em>78'],
+    ['_foo bar_',                   '<em>foo bar</em>'],
+    ['foo_bar_',                    'foo_bar_'],
+    ['snake_case_name',             'snake_case_name'],
+    ['2 * 3 * 4',                   '2 * 3 * 4'],
+    ['_foo_bar_baz_',               '<em>foo_bar_baz</em>'],
+    ['*(*foo*)*',                   '<em>(<em>foo</em>)</em>'],
+    ['*foo**bar**baz*',             '<em>foo<strong>bar</strong>baz</em>'],
+    ['*foo *bar**',                 '<em>foo <em>bar</em></em>'],
+    ['**foo bar**',                 '<strong>foo bar</strong>'],
+    ['__foo, __bar__, baz__',       '<strong>foo, <strong>bar</strong>, baz</strong>'],
+    ['**foo "*bar*" foo**',         '<strong>foo &quot;<em>bar</em>&quot; foo</strong>'],
+    ['***strong emph***',           '<em><strong>strong emph</strong></em>'],
+    ['**foo*',                      '*<em>foo</em>'],
+    ['*foo**',                      '<em>foo</em>*'],
+    ['foo***',                      'foo***'],
+    ['**',                          '**'],
+  ],
+  strikethrough: [
+    ['~~hi~~ there',                '<del>hi</del> there'],
+    ['a ~~ b ~~ c',                 'a ~~ b ~~ c'],
+  ],
+  'code spans': [
+    ['`foo`',                       '<code>foo</code>'],
+    ['`` foo ` bar ``',             '<code>foo ` bar</code>'],
+    ['`` a ` b ``',                 '<code>a ` b</code>'],
+    ['` `` `',                      '<code>``</code>'],
+    ['`  ``  `',                    '<code> `` </code>'],
+    ['` a`',                        '<code> a</code>'],
+    ['```foo``',                    '```foo``'],
+    ['`foo\\`bar`',                 '<code>foo\\</code>bar`'],
+    ['*foo`*`',                     '*foo<code>*</code>'],
+    ['[not a `link](/foo`)',        '[not a <code>link](/foo</code>)'],
+  ],
+  escapes: [
+    ['\\*not emphasized*',          '*not emphasized*'],
+    ['\\\\*emphasis*',              '\\<em>emphasis</em>'],
+    ['\\[not a link](/foo)',        '[not a link](/foo)'],
+    ['\\`not code`',                '`not code`'],
+    ['snake\\_case\\_name',         'snake_case_name'],
+    ['foo\\bar \\A',                'foo\\bar \\A'],
+    ['`` \\[\\` ``',                '<code>\\[\\`</code>'],
+  ],
+  links: [
+    ['[link](/uri "title")',        '<a href="/uri" title="title">link</a>'],
+    ['[link](/uri)',                '<a href="/uri">link</a>'],
+    ['[link]()',                    '<a href="">link</a>'],
+    ['[link *foo **bar** `#`*](/uri)', '<a href="/uri">link <em>foo <strong>bar</strong> <code>#</code></em></a>'],
+    ['*[text](/u)*',                '<em><a href="/u">text</a></em>'],
+    ['<https://foo.bar/baz>',       '<a href="https://foo.bar/baz">https://foo.bar/baz</a>'],
+  ],
+  images: [
+    ['![foo](/url "title")',        '<img src="/url" alt="foo" title="title" />'],
+    ['![foo *bar*](train.jpg)',     '<img src="train.jpg" alt="foo bar" />'],
+    ['![](/url)',                   '<img src="/url" alt="" />'],
+    ['\\![foo](/url)',              '!<a href="/url">foo</a>'],
+    ['[![moon](moon.jpg)](/uri)',   '<a href="/uri"><img src="moon.jpg" alt="moon" /></a>'],
+  ],
+};
+
+for (const [section, examples] of Object.entries(EXAMPLES)) {
+  test(section, () => {
+    for (const [markdown, expected] of examples) {
+      assert.equal(html(parseInline(markdown)), expected, markdown);
+    }
+  });
+}
+
+test('inline nodes point back into the source', () => {
+  const [text, em] = parseInline('a *b*');
+  assert.deepEqual(text.position, { start: { line: 1, column: 1 }, end: { line: 1, column: 3 } });
+  assert.deepEqual(em.position, { start: { line: 1, column: 3 }, end: { line: 1, column: 6 } });
+});
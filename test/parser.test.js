@@ -0,0 +1,44 @@
+// Block structure, and the incremental parser agreeing with parse().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, BlockParser, tailOf } from '../src/parser.js';
+
+const nums = (markdown) => parse(markdown).children[0].items.map(item => item.num);
+
+test('ordered lists count up from their start number', () => {
+  assert.deepEqual(nums('1. a\n1. b\n1. c'), [1, 2, 3]);
+  assert.deepEqual(nums('1. a\n3. b\n7. c'), [1, 2, 3]);
+  assert.deepEqual(nums('4) a\n4) b'), [4, 5]);
+  assert.deepEqual(nums('0. a\n\n0. b'), [0, 1]);
+  assert.equal(parse('5. a\n1. b').children[0].start, 5);
+
+  const [outer] = parse('1. a\n   1. x\n   1. y\n1. b').children;
+  assert.deepEqual(outer.items.map(item => item.num), [1, 2]);
+  assert.deepEqual(outer.items[0].blocks[0].items.map(item => item.num), [1, 2]);
+});
+
+test('BlockParser fed line by line settles the blocks parse() returns', () => {
+  const pool = ['- a', '- b', '  - c', '    more', '1. x', '2) y', '', '', 'para', 'use a | b', '--|--',
+    'a | b', '> q', '> [!NOTE]', '```js', '```', '~~~', '# h', '---', '  indented', '* s', '+ t'];
+  let seed = 5;
+  const rnd = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+  for (let run = 0; run < 3000; run++) {
+    const lines = Array.from({ length: 1 + Math.floor(rnd() * 12) }, () => pool[Math.floor(rnd() * pool.length)]);
+    const parser = new BlockParser();
+    const blocks = lines.flatMap(line => parser.push([line]));
+    blocks.push(...parser.end());
+    assert.deepEqual(blocks, parse(lines.join('\n')).children, JSON.stringify(lines));
+  }
+});
+
+test('tailOf keeps what the end of a block needs to parse the same', () => {
+  const rows = Array.from({ length: 10 }, (_, n) => `| ${n} | x |`);
+  assert.deepEqual(tailOf(['| a | b |', '|---|---|', ...rows], 3), ['| a | b |', '|---|---|', ...rows.slice(-3)]);
+  assert.deepEqual(tailOf(['```js', 'a', 'b', 'c', 'd'], 2), ['```js', 'c', 'd']);
+  assert.deepEqual(tailOf(['> [!TIP]', '> a', '> b', '> c'], 1), ['> [!TIP]', '> c']);
+  assert.deepEqual(tailOf(['1. a', '1. b', '   more', '1. c', '1. d'], 2), ['3. c', '1. d']);
+  assert.deepEqual(tailOf(['- a', '  - x', '  - y', '  - z', '- b'], 2), ['- a', '  - x', '  - y', '  - z', '- b']);
+  assert.deepEqual(tailOf(['p1', 'p2', 'p3'], 5), ['p1', 'p2', 'p3']);
+});
@@ -0,0 +1,36 @@
+// Code block framing: wrapped rows and the line-number gutter stay inside
+// the frame, however long the line or the block.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import stringWidth from 'string-width';
+import { render, MarkdownStream } from '../src/index.js';
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+const rows  = (text) => strip(text).split('\n').filter(row => row.startsWith('│'));
+
+test('a wrapped line continues in full-width rows', () => {
+  const line = 'abcdefghijklmnopqrstuvwxyz'.repeat(3).slice(0, 62);
+  const out = rows(render('```\n' + line + '\n```', { width: 24, color: 'truecolor' }));
+  // 20 columns inside the frame: the first row holds 20, each ↳ row 18
+  assert.deepEqual(out.map(row => row.slice(2, -2).replace('↳ ', '').trimEnd().length), [20, 18, 18, 6]);
+  assert.equal(out.map(row => row.slice(2, -2).replace('↳ ', '')).join('').trimEnd(), line);
+});
+
+test('the gutter grows to fit four-digit line numbers', () => {
+  const code = Array.from({ length: 1001 }, (_, n) => `line ${n + 1}`).join('\n');
+  const markdown = '```\n' + code + '\n```';
+  const opts = { width: 40, color: 'truecolor', lineNumbers: true };
+  const rendered = render(markdown, opts);
+  for (const row of strip(rendered).split('\n').filter(Boolean)) assert.equal(stringWidth(row), 40, row);
+  assert.match(rows(rendered)[1000], /^│ 1001 │ line 1001 +│$/);
+
+  // A block drawn as it arrives widens its gutter at line 1000
+  let out = '';
+  const md = new MarkdownStream({ ...opts, output: { write: (text) => { out += text; return true; } } });
+  md.write(markdown + '\n');
+  md.end();
+  for (const row of strip(out).split('\n').filter(Boolean)) assert.equal(stringWidth(row), 40, row);
+  assert.match(rows(out)[998], /^│ 999 │ line 999 +│$/);
+  assert.match(rows(out)[999], /^│ 1000 │ line 1000 +│$/);
+});
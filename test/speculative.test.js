@@ -0,0 +1,123 @@
+// Speculative drawing on a TTY, checked on an emulated terminal: what is
+// drawn tentatively is always erased cleanly, and the end of a tail taller
+// than the screen stays visible while it streams.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import stringWidth from 'string-width';
+import { MarkdownStream } from '../src/index.js';
+
+const DOCUMENT = readFileSync(new URL('./fixtures/document.md', import.meta.url), 'utf8');
+
+/**
+ * A terminal `columns` × `rows` with scrollback. Understands the few
+ * sequences the stream uses to repaint: CR, LF, erase line, cursor up
+ * (which stops at the top of the screen, as on a real terminal).
+ */
+class Terminal {
+  constructor(columns, rows) {
+    this.columns = columns;
+    this.rows    = rows;
+    this.isTTY   = true;
+    this.lines   = [[]];
+    this.top     = 0;       // first line on screen
+    this.row     = 0;
+    this.col     = 0;
+  }
+
+  write(bytes) {
+    const text = bytes.replace(/\x1b\[[0-9;]*m|\x1b\]8;[^\x1b]*\x1b\\/g, '');
+    for (let i = 0; i < text.length; i++) {
+      if (text.startsWith('\x1b[2K', i)) { this.lines[this.row] = []; i += 3; continue; }
+      if (text.startsWith('\x1b[1A', i)) { this.row = Math.max(this.top, this.row - 1); i += 3; continue; }
+      const ch = text[i];
+      if (ch === '\r') { this.col = 0; continue; }
+      if (ch === '\n') { this._down(); continue; }
+      if (this.col >= this.columns) this._down();
+      this.lines[this.row][this.col] = ch;
+      this.col += Math.max(1, stringWidth(ch));
+    }
+    return true;
+  }
+
+  _down() {
+    this.row++;
+    this.col = 0;
+    this.lines[this.row] ??= [];
+    if (this.row >= this.top + this.rows) this.top = this.row - this.rows + 1;
+  }
+
+  /** Everything written, scrollback included */
+  text() {
+    return this.lines.map(line => Array.from(line, ch => ch ?? ' ').join('').trimEnd()).join('\n');
+  }
+
+  /** The rows on screen */
+  screen() {
+    return this.text().split('\n').slice(this.top, this.top + this.rows);
+  }
+}
+
+function run(chunks, { columns = 80, rows = 24, speculative = true, onWrite } = {}) {
+  const terminal = new Terminal(columns, rows);
+  const md = new MarkdownStream({ output: terminal, speculative, color: 'truecolor', theme: 'dark' });
+  for (const c of chunks) {
+    md.write(c);
+    onWrite?.(terminal);
+  }
+  md.end();
+  return terminal;
+}
+
+function chunk(text, seed) {
+  const rnd = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const chunks = [];
+  for (let i = 0; i < text.length;) {
+    const n = 1 + Math.floor(rnd() * 8);
+    chunks.push(text.slice(i, i + n));
+    i += n;
+  }
+  return chunks;
+}
+
+test('the tentative tail leaves the same text behind as plain output', () => {
+  for (const rows of [40, 12]) {
+    const expected = run([DOCUMENT], { rows, speculative: false }).text();
+    assert.equal(run(chunk(DOCUMENT, 3), { rows }).text(), expected);
+  }
+});
+
+test('a single-line paragraph taller than the screen keeps showing its end', () => {
+  const words = Array.from({ length: 400 }, (_, n) => `word${n}`);
+  const paragraph = 'Intro line.\n\n' + words.join(' ');
+  const chunks = chunk(paragraph, 9);
+  let received = '';
+  let n = 0;
+  const terminal = run(chunks, {
+    onWrite(t) {
+      received += chunks[n++];
+      // The last whole word received is on screen
+      const last = received.match(/(word\d+) /g)?.pop()?.trim();
+      if (last) assert.ok(t.screen().join(' ').split(/\s+/).includes(last), `${last} on screen`);
+    },
+  });
+  assert.equal(terminal.text(), run([paragraph], { speculative: false }).text());
+});
+
+test('a long list streams its last items on screen', () => {
+  const list = Array.from({ length: 60 }, (_, n) => `1. item ${n + 1}`).join('\n') + '\n';
+  const seen = new Set();
+  const terminal = run(list.split(/(?<=\n)/), {
+    onWrite(t) {
+      const items = t.screen().join('\n').match(/\d+\. item \d+/g) ?? [];
+      for (const item of items) {
+        const [num, label] = item.match(/\d+/g);
+        assert.equal(num, label, 'numbered as in the whole list');
+        seen.add(Number(num));
+      }
+    },
+  });
+  assert.ok(seen.has(60));
+  assert.equal(terminal.text(), run([list], { speculative: false }).text());
+});
@@ -0,0 +1,207 @@
+// Stream/render parity: whatever the chunking, the bytes a MarkdownStream
+// writes are `render()` of the whole document plus a newline.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { once } from 'node:events';
+import { Writable } from 'node:stream';
+import { render, parse, MarkdownStream } from '../src/index.js';
+import { createRenderer } from '../src/backends.js';
+import { getTheme } from '../src/themes.js';
+
+const DOCUMENT = readFileSync(new URL('./fixtures/document.md', import.meta.url), 'utf8');
+const LAYOUT   = { width: 60, color: 'truecolor', links: 'inline' };
+
+/** Deterministic PRNG, so a failing chunking can be reproduced */
+function random(seed) {
+  return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+/** Split `text` into chunks of 1…`max` characters */
+function chunk(text, max, rnd) {
+  const chunks = [];
+  for (let i = 0; i < text.length;) {
+    const n = 1 + Math.floor(rnd() * max);
+    chunks.push(text.slice(i, i + n));
+    i += n;
+  }
+  return chunks;
+}
+
+/** Chunkings to try: whole, by line, by character, and random splits */
+function chunkings(text, seed = 1) {
+  const rnd = random(seed);
+  return [
+    [text],
+    text.split(/(?<=\n)/),
+    [...text],
+    ...Array.from({ length: 12 }, (_, n) => chunk(text, n % 2 ? 4 : 80, rnd)),
+  ];
+}
+
+function stream(chunks, opts) {
+  let out = '';
+  const md = new MarkdownStream({ ...opts, output: { write: (text) => { out += text; return true; } } });
+  for (const c of chunks) md.write(c);
+  md.end();
+  return out;
+}
+
+for (const backend of ['ansi', 'plain', 'html']) {
+  for (const progressiveCode of [true, false]) {
+    test(`${backend} stream matches render() (progressiveCode: ${progressiveCode})`, () => {
+      const expected = render(DOCUMENT, { ...LAYOUT, backend }) + '\n';
+      for (const chunks of chunkings(DOCUMENT)) {
+        assert.equal(stream(chunks, { ...LAYOUT, backend, progressiveCode }), expected);
+      }
+    });
+  }
+}
+
+test('newline: false leaves off the trailing newline', () => {
+  const expected = render(DOCUMENT, { ...LAYOUT, backend: 'plain' });
+  for (const chunks of chunkings(DOCUMENT, 7)) {
+    assert.equal(stream(chunks, { ...LAYOUT, backend: 'plain', newline: false }), expected);
+  }
+});
+
+test('empty and whitespace-only input', () => {
+  for (const text of ['', '\n', '\n\n', '   \n']) {
+    for (const chunks of chunkings(text)) {
+      assert.equal(stream(chunks, { ...LAYOUT, backend: 'plain' }), render(text, { ...LAYOUT, backend: 'plain' }) + '\n');
+    }
+  }
+});
+
+// With footnote links the stream lists references after the block that cites
+// them rather than at the end; the blocks and the numbering are the same.
+
+const FOOTNOTE_RE = /^ {2}\[(\d+)\] (\S+)$/gm;
+
+for (const backend of ['ansi', 'plain']) {
+  test(`${backend} stream with links: 'footnotes' lists each block's references after it`, () => {
+    const opts = { ...LAYOUT, backend, links: 'footnotes' };
+    const renderer = createRenderer(getTheme('dark'), backend, opts);
+    const expected = parse(DOCUMENT).children
+      .map(block => renderer.renderDocument({ type: 'document', children: [block] }))
+      .join('\n') + '\n';
+    for (const chunks of chunkings(DOCUMENT, 3)) {
+      assert.equal(stream(chunks, opts), expected);
+    }
+  });
+}
+
+test("links: 'footnotes' numbers references as render() does", () => {
+  const opts = { ...LAYOUT, backend: 'plain', links: 'footnotes' };
+  const refs = (text) => [...text.matchAll(FOOTNOTE_RE)].map(m => m.slice(1)).sort();
+  const rendered = render(DOCUMENT, opts);
+  assert.ok(refs(rendered).length > 0);
+  for (const chunks of chunkings(DOCUMENT, 5)) assert.deepEqual(refs(stream(chunks, opts)), refs(rendered));
+
+  // Without links there is nothing to list, and the output is render()'s
+  const unlinked = DOCUMENT.replace(/!?\[([^\]]*)\]\([^)]*\)|https:\S+/g, '$1');
+  assert.equal(stream([unlinked], opts), render(unlinked, opts) + '\n');
+});
+
+// Each line of a long list or paragraph used to re-parse everything before it
+
+test('streaming long blocks line by line takes linear time', () => {
+  const blocks = {
+    list:      (n) => `- item ${n} with **bold** and \`code\``,
+    ordered:   (n) => `${n + 1}. item ${n}`,
+    nested:    (n) => n % 3 ? `  - sub ${n}` : `- item ${n}`,
+    paragraph: (n) => `line ${n} of a *long* paragraph`,
+    quote:     (n) => `> quoted ${n}`,
+  };
+  for (const [name, line] of Object.entries(blocks)) {
+    const lines = Array.from({ length: 4000 }, (_, n) => line(n) + '\n');
+    const start = performance.now();
+    stream(lines, { ...LAYOUT, backend: 'plain' });
+    const ms = performance.now() - start;
+    assert.ok(ms < 3000, `4000-line ${name} took ${Math.round(ms)} ms`);
+  }
+});
+
+// pipe() takes any iterable; anything else aborts the render
+
+test('pipe() renders an array of chunks', async () => {
+  let out = '';
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output: { write: (text) => { out += text; return true; } } });
+  await md.pipe(['# a\n', 'b']);
+  assert.equal(out, render('# a\nb', { ...LAYOUT, backend: 'plain' }) + '\n');
+});
+
+test('pipe() of a non-iterable rejects and aborts', async () => {
+  let out = '';
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output: { write: (text) => { out += text; return true; } } });
+  md.write('partial');
+  await assert.rejects(md.pipe(42), /expects an iterable/);
+  assert.match(out, /^partial\n.*Interrupted: pipe\(\) expects/);
+  assert.throws(() => md.write('more'), /write after end/);
+});
+
+test("'block' and 'codeblock' fire as blocks are written, 'finish' after end()", async () => {
+  const events = [];
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output: { write: () => { events.push('write'); return true; } } });
+  md.on('block', ({ type }) => { if (type !== 'empty') events.push(type); });
+  md.on('codeblock', ({ lang, code }) => events.push(`codeblock ${lang}: ${code}`));
+  md.on('finish', () => events.push('finish'));
+  for (const c of ['# Ti', 'tle\n\n```', 'sh\nls\n', '```\n\nend']) md.write(c);
+  assert.deepEqual(events.filter(e => e !== 'write'), ['heading', 'code', 'codeblock sh: ls']);
+  await md.end();
+  assert.deepEqual(events.filter(e => e !== 'write').slice(3), ['paragraph', 'finish']);
+  assert.equal(events.at(-2), 'write', "'finish' comes after the last write");
+});
+
+// Backpressure: a full output is waited on, never buffered without bound
+
+/** A Writable that takes a turn of the event loop per chunk */
+function slowOutput(received = []) {
+  return new Writable({
+    highWaterMark: 64,
+    decodeStrings: false,
+    write(chunk, encoding, done) {
+      received.push(chunk);
+      setImmediate(done);
+    },
+  });
+}
+
+test('write() returns false when the output is full, then drains', async () => {
+  const output = slowOutput();
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output });
+  assert.equal(md.write('short\n'), true);
+  assert.equal(md.write('\n' + 'a long paragraph that fills the output '.repeat(4) + '\n\n'), false);
+  assert.ok(output.writableNeedDrain);
+  await once(md, 'drain');
+  assert.equal(output.writableNeedDrain, false);
+  await md.end();
+});
+
+test("pipe() asks for no more input until the output drains", async () => {
+  const received = [];
+  const output = slowOutput(received);
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output });
+  let waits = 0;
+  md.on('drain', () => waits++);
+  async function* source() {
+    for (const line of DOCUMENT.split(/(?<=\n)/)) {
+      assert.equal(output.writableNeedDrain, false, 'asked for input while the output was full');
+      yield line;
+    }
+  }
+  await md.pipe(source());
+  assert.ok(waits > 0, 'the output filled up at least once');
+  assert.equal(received.join(''), render(DOCUMENT, { ...LAYOUT, backend: 'plain' }) + '\n');
+});
+
+test('end() resolves once the output has flushed', async () => {
+  const output = slowOutput();
+  const md = new MarkdownStream({ ...LAYOUT, backend: 'plain', output });
+  md.write(DOCUMENT);
+  const ended = md.end();
+  assert.ok(output.writableLength > 0);
+  await ended;
+  assert.equal(output.writableLength, 0);
+});
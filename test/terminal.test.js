@@ -0,0 +1,66 @@
+// The OSC 11 background query, against a fake terminal: the reply is read in
+// raw mode, and the input is left as it was found.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { queryBackground } from '../src/terminal.js';
+
+/** A TTY pair; `reply` is what the terminal answers, after `delay` ms */
+function terminal({ reply, delay = 0 } = {}) {
+  const input = Object.assign(new PassThrough(), {
+    isTTY: true,
+    isRaw: false,
+    setRawMode(raw) { this.isRaw = raw; },
+  });
+  const output = {
+    isTTY: true,
+    write(text) {
+      assert.equal(text, '\x1b]11;?\x1b\\');
+      if (reply) setTimeout(() => input.write(reply), delay);
+      return true;
+    },
+  };
+  return { input, output };
+}
+
+test('the reply is parsed and a fresh input is left paused', async () => {
+  const { input, output } = terminal({ reply: '\x1b]11;rgb:ffff/8080/0000\x1b\\' });
+  assert.equal(input.readableFlowing, null);
+  const rgb = await queryBackground({ input, output });
+  assert.deepEqual(rgb, { r: 1, g: 0x8080 / 0xffff, b: 0 });
+  assert.equal(input.isRaw, false);
+  assert.equal(input.readableFlowing, false);
+  assert.equal(input.listenerCount('data'), 0);
+});
+
+test('an input that was flowing keeps flowing', async () => {
+  const { input, output } = terminal({ reply: '\x1b]11;rgb:00/00/00\x07' });
+  input.on('data', () => {});
+  assert.equal(input.readableFlowing, true);
+  assert.deepEqual(await queryBackground({ input, output }), { r: 0, g: 0, b: 0 });
+  assert.equal(input.readableFlowing, true);
+});
+
+test('a late reply is read in raw mode and dropped', async () => {
+  const { input, output } = terminal({ reply: '\x1b]11;rgb:ffff/ffff/ffff\x1b\\', delay: 60 });
+  assert.equal(await queryBackground({ input, output, timeout: 20, grace: 1000 }), null);
+  assert.equal(input.isRaw, true, 'still raw within the grace period');
+  await sleep(100);
+  assert.equal(input.isRaw, false);
+  assert.equal(input.readableFlowing, false);
+  assert.equal(input.listenerCount('data'), 0);
+});
+
+test('no reply at all restores the input after the grace period', async () => {
+  const { input, output } = terminal();
+  assert.equal(await queryBackground({ input, output, timeout: 10, grace: 20 }), null);
+  await sleep(50);
+  assert.equal(input.isRaw, false);
+  assert.equal(input.readableFlowing, false);
+});
+
+test('no terminal, no query', async () => {
+  assert.equal(await queryBackground({ input: new PassThrough(), output: { isTTY: true, write: assert.fail } }), null);
+});
@@ -0,0 +1,50 @@
+// Custom themes: complete themes written before the newer styles still
+// work, and `ansi16` keys match theme colours whatever their case or hex
+// length.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { render, defineTheme, themes } from '../src/index.js';
+
+test('lowercase and three-digit ansi16 keys pick the named colour', () => {
+  for (const [color, key] of [['#ff8800', '#ff8800'], ['#FF8800', '#f80'], ['#f80', '#FF8800']]) {
+    const theme = defineTheme({ extends: 'dark', h3: { color, bold: true }, ansi16: { [key]: 'red' } });
+    assert.match(render('### Title', { theme, color: '16' }), /\x1b\[31m/, `${color} / ${key}`);
+  }
+});
+
+test('a null ansi16 entry leaves the colour out', () => {
+  const theme = defineTheme({ extends: 'dark', h3: { color: '#abc' }, ansi16: { '#abc': null } });
+  assert.doesNotMatch(render('### Title', { theme, color: '16' }), /\x1b\[(?:3[0-7]|9[0-7])m/);
+});
+
+test("the caller's ansi16 keys are left as they were", () => {
+  const ansi16 = { '#abc': 'red' };
+  const spec = { extends: 'dark', h3: { color: '#abc' }, ansi16 };
+  defineTheme(spec);
+  render('### Title', { theme: { ...themes.dark, ansi16 }, color: '16' });
+  assert.deepEqual(Object.keys(ansi16), ['#abc']);
+  assert.equal(spec.ansi16, ansi16);
+});
+
+// A complete theme as 1.0.3 knew it: no alerts, tasks, diffs or ansi16
+const NEWER = /^(alert|task|diff)|^ansi16$/;
+const v103 = Object.fromEntries(Object.entries(themes.dark).filter(([key]) => !NEWER.test(key)));
+
+test('a theme written for 1.0.3 renders newer elements with the dark styles', () => {
+  const markdown = '> [!NOTE]\n> heads up\n\n- [x] done\n\n```diff\n-a\n+b\n```';
+  const opts = { color: 'truecolor', width: 40 };
+  assert.equal(render(markdown, { ...opts, theme: v103 }), render(markdown, { ...opts, theme: 'dark' }));
+  assert.equal(defineTheme(v103).alertNote, themes.dark.alertNote);
+  assert.equal('alertNote' in v103, false);
+});
+
+test('missing 1.0.3 styles and bad newer ones are still errors', () => {
+  const { h1, ...noH1 } = v103;
+  assert.throws(() => defineTheme(noH1), /missing "h1"/);
+  assert.throws(() => defineTheme({ ...v103, diffAdded: { color: 'teal' } }), /"diffAdded.color" is not a colour/);
+});
+
+test('YAML theme files are refused by name', () => {
+  assert.throws(() => render('x', { theme: './theme.yaml' }), /YAML themes aren't supported/);
+});
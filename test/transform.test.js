@@ -0,0 +1,90 @@
+// The stream adapters: a Node.js Transform and a WHATWG TransformStream give
+// render()'s output, report blocks as they go, and pass backpressure on.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { render, createTransform, createWebTransform } from '../src/index.js';
+
+const DOCUMENT = readFileSync(new URL('./fixtures/document.md', import.meta.url), 'utf8');
+const LAYOUT   = { width: 60, color: 'truecolor', links: 'inline' };
+
+/** The document as Buffers, cut every `size` bytes (so inside multi-byte characters too) */
+function bytes(text, size) {
+  const all = Buffer.from(text);
+  return Array.from({ length: Math.ceil(all.length / size) }, (_, n) => all.subarray(n * size, (n + 1) * size));
+}
+
+function sink(received) {
+  return new Writable({
+    decodeStrings: false,
+    write(chunk, encoding, done) {
+      received.push(String(chunk));
+      done();
+    },
+  });
+}
+
+test('createTransform() output is render() plus a newline', async () => {
+  const expected = render(DOCUMENT, LAYOUT) + '\n';
+  for (const chunks of [[DOCUMENT], DOCUMENT.split(/(?<=\n)/), bytes(DOCUMENT, 7)]) {
+    const received = [];
+    await pipeline(Readable.from(chunks), createTransform(LAYOUT), sink(received));
+    assert.equal(received.join(''), expected);
+  }
+});
+
+test("createTransform() reports blocks in order, then 'finish'", async () => {
+  const text = '# Café\n\n```js\nlet ü = 1;\n```\n\nDone ✓';
+  const events = [];
+  const transform = createTransform(LAYOUT);
+  transform.on('block', ({ type }) => events.push(type));
+  transform.on('codeblock', ({ lang, code }) => events.push(`codeblock ${lang}: ${code}`));
+  transform.on('finish', () => events.push('finish'));
+
+  // 'é' and 'ü' are two bytes each: every cut falls inside one of them somewhere
+  const received = [];
+  await pipeline(Readable.from(bytes(text, 3)), transform, sink(received));
+  assert.equal(received.join(''), render(text, LAYOUT) + '\n');
+  assert.deepEqual(events.filter(e => e !== 'empty'), [
+    'heading', 'code', 'codeblock js: let ü = 1;', 'paragraph', 'finish',
+  ]);
+});
+
+test('createTransform() waits for a slow reader', async () => {
+  const markdown = Array.from({ length: 40 }, () => DOCUMENT).join('\n\n');
+  const transform = createTransform(LAYOUT);
+  let out = '';
+  let most = 0;
+  const reader = new Writable({
+    highWaterMark: 1024,
+    decodeStrings: false,
+    write(chunk, encoding, done) {
+      out += chunk;
+      most = Math.max(most, transform.readableLength);
+      setImmediate(done);
+    },
+  });
+  await pipeline(Readable.from(markdown.split(/(?<=\n)/)), transform, reader);
+  assert.equal(out, render(markdown, LAYOUT) + '\n');
+  // About the transform's high-water mark, not the whole ~250 kB
+  assert.ok(most < 32 * 1024, `${most} bytes buffered`);
+});
+
+test('createWebTransform() output is render() plus a newline', async () => {
+  const text = DOCUMENT + '\nÜber ✓ 日本語';
+  const encoded = bytes(text, 5).map(b => new Uint8Array(b));
+  for (const chunks of [[text], text.split(/(?<=\n)/), encoded]) {
+    const source = new ReadableStream({
+      start(controller) {
+        for (const c of chunks) controller.enqueue(c);
+        controller.close();
+      },
+    });
+    let out = '';
+    for await (const piece of source.pipeThrough(createWebTransform(LAYOUT))) out += piece;
+    assert.equal(out, render(text, LAYOUT) + '\n');
+  }
+});